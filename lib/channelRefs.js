@@ -0,0 +1,63 @@
+// Channel references: seeds, URLs and description links parsed into { type, value }
+
+// Helper: parse a seed into a channel reference { type, value }.
+// Accepts: raw channel ID (UC...), @handle, and YouTube URLs (/channel/UC..., /@handle, /user/<name>,
+// /c/<name>, legacy /<name>), with or without the https:// prefix. Plain names are treated as custom names.
+// Returns { type: 'unsupported', value } for anything that cannot point at a channel, null for empty input.
+function normalizeChannelIdOrUrl(item) {
+    if (!item || typeof item !== 'string') return null;
+    const s = item.trim();
+    if (!s) return null;
+    // If it's a channel id (starts with UC)
+    if (/^UC[A-Za-z0-9_-]{20,}$/.test(s)) return { type: 'id', value: s };
+    if (/^@[^\s/]+$/.test(s)) return { type: 'handle', value: s.slice(1) };
+    // URL patterns
+    const withProtocol = /^(www\.|m\.)?youtube\.com\//i.test(s) ? `https://${s}` : s;
+    let url;
+    try {
+        url = new URL(withProtocol);
+    } catch (e) {
+        // not a URL; a single word may be a custom name, anything else is not a channel reference
+        return /\s/.test(s) ? { type: 'unsupported', value: s } : { type: 'custom', value: s };
+    }
+    if (!/(^|\.)youtube\.com$/i.test(url.hostname)) return { type: 'unsupported', value: s };
+    let parts;
+    try {
+        parts = url.pathname.split('/').filter(Boolean).map((p) => decodeURIComponent(p));
+    } catch (e) {
+        // Malformed percent-encoding (e.g. Latin-1 %E9) cannot name a channel
+        return { type: 'unsupported', value: s };
+    }
+    // /channel/<id>
+    if (parts[0] === 'channel' && parts[1]) return { type: 'id', value: parts[1] };
+    // /@handle
+    if (parts[0] && parts[0].startsWith('@') && parts[0].length > 1) return { type: 'handle', value: parts[0].slice(1) };
+    // /user/<name> (legacy username)
+    if (parts[0] === 'user' && parts[1]) return { type: 'username', value: parts[1] };
+    // /c/<name> or legacy /<name> custom URL
+    if (parts[0] === 'c' && parts[1]) return { type: 'custom', value: parts[1] };
+    const reserved = ['watch', 'shorts', 'playlist', 'results', 'feed', 'embed', 'live'];
+    if (parts.length === 1 && !reserved.includes(parts[0])) return { type: 'custom', value: parts[0] };
+    return { type: 'unsupported', value: s };
+}
+
+// Comparable form of a channel name: lowercase letters and digits only
+function simplifyName(name = '') {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Channel links in free text: /channel/UC..., /@handle, /c/<name> and /user/<name> on youtube.com
+const CHANNEL_LINK_REGEX = /(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/(?:channel\/UC[\w-]{22}|@[\w.-]+|c\/[\w.-]+|user\/[\w.-]+)/gi;
+
+// Channel links in free text, without the sentence punctuation the name patterns also match ("see youtube.com/@coach.").
+// Channel IDs have a fixed length and are kept as matched, since they may end in "-".
+function channelLinksInText(text) {
+    return (text.match(CHANNEL_LINK_REGEX) || []).map(link => (/\/channel\//i.test(link) ? link : link.replace(/[.-]+$/, '')));
+}
+
+module.exports = {
+    normalizeChannelIdOrUrl,
+    simplifyName,
+    CHANNEL_LINK_REGEX,
+    channelLinksInText,
+};
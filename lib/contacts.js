@@ -0,0 +1,152 @@
+// Contact extraction from channel and video descriptions
+
+// Hosts recognized when extracting contacts from descriptions (matched against the host without "www.")
+const BOOKING_PROVIDERS = {
+    'calendly.com': 'Calendly',
+    'acuityscheduling.com': 'Acuity',
+    'as.me': 'Acuity',
+    'tidycal.com': 'TidyCal',
+    'stan.store': 'Stan',
+    'cal.com': 'Cal.com',
+    'savvycal.com': 'SavvyCal',
+    'youcanbook.me': 'YouCanBookMe',
+    'oncehub.com': 'OnceHub',
+    'zcal.co': 'Zcal',
+    'koalendar.com': 'Koalendar',
+    'setmore.com': 'Setmore',
+    'meetings.hubspot.com': 'HubSpot Meetings',
+    'calendar.app.google': 'Google Calendar',
+    'book.squareup.com': 'Square Appointments',
+};
+const LINK_IN_BIO_SERVICES = {
+    'linktr.ee': 'Linktree',
+    'beacons.ai': 'Beacons',
+    'bio.link': 'bio.link',
+    'lnk.bio': 'Lnk.Bio',
+    'linkin.bio': 'Later Linkin.bio',
+    'campsite.bio': 'Campsite',
+    'hoo.be': 'hoo.be',
+    'komi.io': 'Komi',
+    'taplink.cc': 'Taplink',
+    'solo.to': 'solo.to',
+    'msha.ke': 'Milkshake',
+    'carrd.co': 'Carrd',
+};
+const SOCIAL_PLATFORMS = {
+    'instagram.com': 'instagram',
+    'linkedin.com': 'linkedin',
+    'x.com': 'x',
+    'twitter.com': 'x',
+    'tiktok.com': 'tiktok',
+};
+// Links that are never a creator's own website (platforms, shorteners, stores)
+const NON_WEBSITE_HOSTS = [
+    'youtube.com', 'youtu.be', 'google.com', 'goo.gl', 'bit.ly', 'amzn.to', 'amazon.com', 'spotify.com',
+    'apple.com', 'facebook.com', 'fb.com', 'threads.net', 'discord.gg', 'discord.com', 'patreon.com', 't.me',
+    'wa.me', 'pinterest.com', 'reddit.com', 'twitch.tv', 'snapchat.com',
+];
+
+// Find the entry of a host table that matches host or one of its parent domains (e.g. jane.as.me -> as.me)
+function matchHost(host, table) {
+    const parts = host.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        const candidate = parts.slice(i).join('.');
+        if (Object.prototype.hasOwnProperty.call(table, candidate)) return table[candidate];
+    }
+    return null;
+}
+
+// Classify one URL found in a description. Returns { kind, value, ...extra } or null if it is not a contact.
+function classifyContactUrl(raw) {
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch (e) {
+        return null;
+    }
+    const host = url.hostname.toLowerCase().replace(/^(www\.|m\.)/, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    const clean = `https://${host}${path}`;
+
+    const provider = matchHost(host, BOOKING_PROVIDERS);
+    if (provider) return { kind: 'bookingLinks', value: clean, provider };
+
+    const service = matchHost(host, LINK_IN_BIO_SERVICES);
+    if (service) return path || host.split('.').length > 2 ? { kind: 'linkInBio', value: clean, service } : null;
+
+    const platform = matchHost(host, SOCIAL_PLATFORMS);
+    if (platform) {
+        const parts = path.split('/').filter(Boolean);
+        let handle = null;
+        if (platform === 'linkedin') {
+            if ((parts[0] === 'in' || parts[0] === 'company') && parts[1]) handle = `${parts[0]}/${parts[1]}`;
+        } else if (platform === 'tiktok') {
+            if (parts[0] && parts[0].startsWith('@')) handle = parts[0];
+        } else if (parts.length === 1 && !['p', 'reel', 'reels', 'explore', 'intent', 'share', 'home', 'hashtag', 'i'].includes(parts[0])) {
+            handle = parts[0];
+        }
+        if (!handle) return null;
+        const canonicalHost = platform === 'x' ? 'x.com' : host;
+        return { kind: 'socials', value: `https://${canonicalHost}/${handle}`.toLowerCase(), platform, handle: handle.toLowerCase() };
+    }
+
+    if (NON_WEBSITE_HOSTS.some(h => host === h || host.endsWith(`.${h}`))) return null;
+    return { kind: 'websites', value: `https://${host}`, domain: host };
+}
+
+// Extract contacts from [{ source, text }] (source is e.g. "channelDescription" or "video:<id>").
+// Values are normalized and deduplicated; each keeps the list of sources it was found in.
+function extractContacts(sources) {
+    const contacts = { emails: [], websites: [], bookingLinks: [], linkInBio: [], socials: [] };
+    const index = new Map();
+    const add = (kind, entry, source) => {
+        const key = `${kind}|${entry.value}`;
+        let existing = index.get(key);
+        if (!existing) {
+            existing = { ...entry, sources: [] };
+            index.set(key, existing);
+            contacts[kind].push(existing);
+        }
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+    };
+
+    const emailRe = /[a-z0-9._%+-]+(?:@|\s*[[(]at[\])]\s*)[a-z0-9-]+(?:(?:\.|\s*[[(]dot[\])]\s*)[a-z0-9-]+)*(?:\.|\s*[[(]dot[\])]\s*)[a-z]{2,}/gi;
+    const urlRe = /\b(?:https?:\/\/|www\.)[^\s<>"']+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|co|me|ai|app|store|coach|bio|ee|to|cc|be|uk|ca|au|de|in)\/[^\s<>"']*/gi;
+
+    for (const { source, text } of sources) {
+        if (!text) continue;
+        for (const m of text.match(emailRe) || []) {
+            const email = m.toLowerCase()
+                .replace(/\s*[[(]at[\])]\s*/g, '@')
+                .replace(/\s*[[(]dot[\])]\s*/g, '.')
+                .replace(/\.+$/, '');
+            // Skip retina image names like logo@2x.png
+            if (/@\d+x\./.test(email)) continue;
+            add('emails', { value: email, domain: email.split('@')[1] }, source);
+        }
+        // Emails were handled above; drop them so their domains are not picked up as websites
+        const withoutEmails = text.replace(emailRe, ' ');
+        for (const m of withoutEmails.match(urlRe) || []) {
+            const contact = classifyContactUrl(m.replace(/[).,;:!?'"\]>]+$/, ''));
+            if (!contact) continue;
+            const { kind, ...entry } = contact;
+            add(kind, entry, source);
+        }
+    }
+    return contacts;
+}
+
+function hasAnyContact(contacts) {
+    return Object.values(contacts).some(list => list.length > 0);
+}
+
+module.exports = {
+    BOOKING_PROVIDERS,
+    LINK_IN_BIO_SERVICES,
+    SOCIAL_PLATFORMS,
+    NON_WEBSITE_HOSTS,
+    matchHost,
+    classifyContactUrl,
+    extractContacts,
+    hasAnyContact,
+};
@@ -0,0 +1,149 @@
+// Exports of the qualified records: flattened CSV/JSONL rows and CRM import presets
+
+// First entry of a record's contact list, e.g. firstContact(r, 'emails') -> 'jane@example.com'
+const firstContact = (record, kind, field = 'value') => {
+    const list = record.contacts && record.contacts[kind];
+    return list && list.length ? list[0][field] : '';
+};
+const socialUrl = (record, platform) => {
+    const found = ((record.contacts && record.contacts.socials) || []).find(s => s.platform === platform);
+    return found ? found.value : '';
+};
+const websiteDomain = (record) => firstContact(record, 'websites', 'domain') || firstContact(record, 'emails', 'domain');
+
+// CRM import presets: column name -> record path (string) or function(record).
+// Column names follow each CRM's import field labels so imports map without manual matching.
+const CRM_FIELD_MAPPINGS = {
+    'hubspot-contact': {
+        'Email': r => firstContact(r, 'emails'),
+        'Company Name': 'channelName',
+        'Website URL': r => firstContact(r, 'websites'),
+        'Country/Region': 'country',
+        'LinkedIn URL': r => socialUrl(r, 'linkedin'),
+        'Twitter Username': r => (((r.contacts && r.contacts.socials) || []).find(s => s.platform === 'x') || {}).handle || '',
+        'YouTube Channel URL': 'channelUrl',
+        'YouTube Subscribers': 'subscriberCount',
+        'YouTube Average Views': 'avgViews',
+        'Booking Link': r => firstContact(r, 'bookingLinks'),
+        'Lead Score': 'leadScore',
+    },
+    'hubspot-company': {
+        'Company name': 'channelName',
+        'Company Domain Name': websiteDomain,
+        'Website URL': r => firstContact(r, 'websites'),
+        'Country/Region': 'country',
+        'Description': 'description',
+        'LinkedIn Company Page': r => socialUrl(r, 'linkedin'),
+        'YouTube Channel URL': 'channelUrl',
+        'YouTube Subscribers': 'subscriberCount',
+        'YouTube Average Views': 'avgViews',
+        'Booking Link': r => firstContact(r, 'bookingLinks'),
+        'Lead Score': 'leadScore',
+    },
+    'pipedrive-lead': {
+        'Lead title': r => `${r.channelName} (YouTube)`,
+        'Organization name': 'channelName',
+        'Organization website': r => firstContact(r, 'websites'),
+        'Person name': 'channelName',
+        'Person email': r => firstContact(r, 'emails'),
+        'Lead source': () => 'YouTube',
+        'YouTube channel URL': 'channelUrl',
+        'Subscribers': 'subscriberCount',
+        'Average views': 'avgViews',
+        'Booking link': r => firstContact(r, 'bookingLinks'),
+        'Lead score': 'leadScore',
+    },
+};
+
+// Key-value store record written for each export format
+const EXPORT_KEYS = {
+    'csv': { key: 'OUTPUT_CSV', contentType: 'text/csv; charset=utf-8' },
+    'jsonl': { key: 'OUTPUT_JSONL', contentType: 'application/x-ndjson; charset=utf-8' },
+    'hubspot-contact': { key: 'OUTPUT_HUBSPOT_CONTACT', contentType: 'text/csv; charset=utf-8' },
+    'hubspot-company': { key: 'OUTPUT_HUBSPOT_COMPANY', contentType: 'text/csv; charset=utf-8' },
+    'pipedrive-lead': { key: 'OUTPUT_PIPEDRIVE_LEAD', contentType: 'text/csv; charset=utf-8' },
+};
+
+// Read a dotted path such as "contacts.emails.0.value" from a record
+function getPath(obj, path) {
+    return String(path).split('.').reduce((cur, key) => (cur === null || cur === undefined ? undefined : cur[key]), obj);
+}
+
+// Flatten a record into one level: nested objects become "a.b" keys, arrays of plain values are joined
+// with "; " and arrays of objects are indexed ("sampleVideos.0.title").
+function flattenRecord(value, prefix = '', out = {}) {
+    if (Array.isArray(value)) {
+        if (value.every(v => v === null || typeof v !== 'object')) {
+            out[prefix] = value.join('; ');
+        } else {
+            value.forEach((v, i) => flattenRecord(v, prefix ? `${prefix}.${i}` : String(i), out));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        for (const [k, v] of Object.entries(value)) flattenRecord(v, prefix ? `${prefix}.${k}` : k, out);
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+// Turn a mapping (preset name, { column: path | fn } or [path, ...]) into a function record -> row
+function compileFieldMapping(mapping) {
+    const spec = typeof mapping === 'string' ? CRM_FIELD_MAPPINGS[mapping]
+        : Array.isArray(mapping) ? Object.fromEntries(mapping.map(p => [p, p]))
+            : mapping;
+    return (record) => {
+        const row = {};
+        for (const [column, source] of Object.entries(spec)) {
+            const v = typeof source === 'function' ? source(record) : getPath(record, source);
+            row[column] = v === undefined ? null : v;
+        }
+        return row;
+    };
+}
+
+// RFC 4180 field: quoted when it contains a delimiter, quote or line break; quotes are doubled.
+// Text starting with =, +, -, @ (or a tab/carriage return) would run as a formula when the file is opened in a
+// spreadsheet, so it gets a leading apostrophe. Numbers are written as they are.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Rows to CSV; the header is the union of all row keys in first-seen order
+function toCsv(rows) {
+    const columns = [];
+    const seen = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        }
+    }
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Body of one export format for the ranked records. fieldMapping picks the csv/jsonl columns (see
+// compileFieldMapping); without it rows are the flattened record. CRM formats always use their preset.
+function buildExport(format, records, fieldMapping = null) {
+    const mapRow = fieldMapping ? compileFieldMapping(fieldMapping) : (r) => flattenRecord(r);
+    if (format === 'csv') return toCsv(records.map(mapRow));
+    if (format === 'jsonl') return records.map(r => JSON.stringify(mapRow(r))).join('\n') + (records.length ? '\n' : '');
+    return toCsv(records.map(compileFieldMapping(format)));
+}
+
+module.exports = {
+    CRM_FIELD_MAPPINGS,
+    EXPORT_KEYS,
+    getPath,
+    flattenRecord,
+    compileFieldMapping,
+    csvField,
+    toCsv,
+    buildExport,
+};
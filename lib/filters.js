@@ -0,0 +1,44 @@
+// Metric filters: optional <metric>Min / <metric>Max bounds on the view statistics of a channel
+
+// Record metrics that accept <metric>Min / <metric>Max filter inputs, with their rejection code prefix
+const METRIC_FILTERS = {
+    medianViews: 'median_views',
+    trimmedMeanViews: 'trimmed_mean_views',
+    viewsPerSubscriber: 'views_per_subscriber',
+    likeRate: 'like_rate',
+    commentRate: 'comment_rate',
+    uploadCadenceDays: 'upload_cadence_days',
+    viewsCv: 'views_cv',
+};
+
+// Bounds set in the input: [{ metric, min, max }] for every metric with a numeric <metric>Min or <metric>Max
+function metricBoundsFromInput(input) {
+    return Object.keys(METRIC_FILTERS).map(metric => ({
+        metric,
+        min: typeof input[`${metric}Min`] === 'number' ? input[`${metric}Min`] : null,
+        max: typeof input[`${metric}Max`] === 'number' ? input[`${metric}Max`] : null,
+    })).filter(b => b.min !== null || b.max !== null);
+}
+
+// Check view statistics (see computeViewStats) against the bounds. Returns soft failures
+// [{ criterion, reason, message, values }]; an unknown value (e.g. hidden likes) fails any bound set for it.
+function checkMetricBounds(viewStats, bounds) {
+    const failures = [];
+    for (const { metric, min, max } of bounds) {
+        const value = viewStats[metric];
+        const code = METRIC_FILTERS[metric];
+        if (min !== null && (value === null || value < min)) {
+            failures.push({ criterion: `${metric}Min`, reason: `${code}_low`, message: `Skipping due to ${metric} below min`, values: { [metric]: value, [`${metric}Min`]: min } });
+        }
+        if (max !== null && (value === null || value > max)) {
+            failures.push({ criterion: `${metric}Max`, reason: `${code}_high`, message: `Skipping due to ${metric} above max`, values: { [metric]: value, [`${metric}Max`]: max } });
+        }
+    }
+    return failures;
+}
+
+module.exports = {
+    METRIC_FILTERS,
+    metricBoundsFromInput,
+    checkMetricBounds,
+};
@@ -0,0 +1,190 @@
+// Keyword expressions for includeKeywords/excludeKeywords
+
+// Field scopes usable as <field>:term in keyword expressions, mapped to the text fields they search
+const KEYWORD_FIELDS = {
+    channelTitle: 'channelTitle',
+    title: 'channelTitle',
+    channelDescription: 'channelDescription',
+    description: 'channelDescription',
+    about: 'channelDescription',
+    videoTitles: 'videoTitles',
+    videoTitle: 'videoTitles',
+    videoDescriptions: 'videoDescriptions',
+    videoDescription: 'videoDescriptions',
+};
+
+// Keyword expressions. Grammar (NOT binds tighter than AND, AND tighter than OR; adjacent terms are ANDed):
+//   expr := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | [field:] '(' expr ')' | term
+//   term := [field:] (word | word* | "phrase" | /regex/flags)
+// A field scope on a group applies to the terms inside that have no scope of their own.
+// An entry without operators, quotes, parentheses, regexes or field scopes is one phrase, so existing
+// keyword lists ("life coach", "7-figure") keep their meaning.
+function tokenizeKeywordExpression(expr) {
+    const tokens = [];
+    let i = 0;
+    while (i < expr.length) {
+        const c = expr[i];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        if (c === '(' || c === ')') {
+            tokens.push({ type: c });
+            i++;
+            continue;
+        }
+        let field = null;
+        const fieldMatch = /^([A-Za-z]+):(?=\S)/.exec(expr.slice(i));
+        if (fieldMatch && KEYWORD_FIELDS[fieldMatch[1]]) {
+            field = KEYWORD_FIELDS[fieldMatch[1]];
+            i += fieldMatch[0].length;
+            if (expr[i] === '(') {
+                tokens.push({ type: '(', field });
+                i++;
+                continue;
+            }
+        }
+        if (expr[i] === '"') {
+            const end = expr.indexOf('"', i + 1);
+            if (end === -1) throw new Error(`Unclosed quote in keyword expression: ${expr}`);
+            tokens.push({ type: 'term', kind: 'phrase', text: expr.slice(i + 1, end), field });
+            i = end + 1;
+            continue;
+        }
+        if (expr[i] === '/') {
+            const m = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(expr.slice(i));
+            if (!m) throw new Error(`Unclosed regex in keyword expression: ${expr}`);
+            tokens.push({ type: 'term', kind: 'regex', text: m[1], flags: m[2], field });
+            i += m[0].length;
+            continue;
+        }
+        const m = /^[^\s()"]+/.exec(expr.slice(i));
+        if (!m) throw new Error(`Invalid keyword expression "${expr}": missing term after ${fieldMatch[1]}:`);
+        const word = m[0];
+        i += word.length;
+        if (!field && ['AND', 'OR', 'NOT'].includes(word)) tokens.push({ type: word });
+        else if (word.endsWith('*') && word.length > 1) tokens.push({ type: 'term', kind: 'prefix', text: word.slice(0, -1), field });
+        else tokens.push({ type: 'term', kind: 'phrase', text: word, field });
+    }
+    return tokens;
+}
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex for one term: whole words unless matchMode is "substring"; phrase words match across any spacing
+function termRegex(term, matchMode) {
+    if (term.kind === 'regex') {
+        // g/y would make test() stateful across fields; matching is always case-insensitive
+        const flags = term.flags.replace(/[gyi]/g, '');
+        try {
+            return new RegExp(term.text, `${flags}i`);
+        } catch (e) {
+            throw new Error(`Invalid regex /${term.text}/ in keyword expression: ${e.message}`);
+        }
+    }
+    const body = term.text.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    if (matchMode === 'substring') return new RegExp(body, 'iu');
+    const before = '(?<![\\p{L}\\p{N}_])';
+    const after = term.kind === 'prefix' ? '' : '(?![\\p{L}\\p{N}_])';
+    return new RegExp(`${before}${body}${after}`, 'iu');
+}
+
+// Parse an expression into a tree of { op: 'and' | 'or' | 'not', children } and { op: 'term', ... } nodes.
+// matchMode is "word" (whole words/phrases) or "substring".
+function compileKeywordExpression(expression, { matchMode = 'word' } = {}) {
+    const expr = String(expression).trim();
+    const isPlain = !/["()/]/.test(expr) && !/(^|\s)(AND|OR|NOT)(\s|$)/.test(expr)
+        && !/(^|\s)[A-Za-z]+:\S/.test(expr) && !/\*(\s|$)/.test(expr);
+    if (isPlain) {
+        const term = { op: 'term', kind: 'phrase', text: expr, field: null, label: expr };
+        term.regex = termRegex(term, matchMode);
+        return term;
+    }
+
+    const tokens = tokenizeKeywordExpression(expr);
+    let pos = 0;
+    // Field scope of the innermost scoped group being parsed
+    let groupField = null;
+    const peek = () => tokens[pos];
+    const fail = (msg) => {
+        throw new Error(`Invalid keyword expression "${expr}": ${msg}`);
+    };
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { op: 'or', children };
+    }
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') pos++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { op: 'and', children };
+    }
+    function parseUnary() {
+        const token = tokens[pos++];
+        if (!token) return fail('unexpected end');
+        if (token.type === 'NOT') return { op: 'not', children: [parseUnary()] };
+        if (token.type === '(') {
+            const outerField = groupField;
+            groupField = token.field || groupField;
+            const inner = parseOr();
+            groupField = outerField;
+            if (!peek() || peek().type !== ')') fail('missing )');
+            pos++;
+            return inner;
+        }
+        if (token.type !== 'term') return fail(`unexpected ${token.type}`);
+        const field = token.field || groupField;
+        const label = `${field ? `${field}:` : ''}${token.kind === 'regex' ? `/${token.text}/${token.flags}` : token.kind === 'prefix' ? `${token.text}*` : token.text}`;
+        const term = { op: 'term', kind: token.kind, text: token.text, flags: token.flags, field, label };
+        term.regex = termRegex(term, matchMode);
+        return term;
+    }
+
+    const tree = parseOr();
+    if (pos < tokens.length) fail(`unexpected ${tokens[pos].type}`);
+    return tree;
+}
+
+// Evaluate a compiled expression against { channelTitle: [text], channelDescription: [text], videoTitles: [...],
+// videoDescriptions: [...] }. Returns { matched, terms: [{ term, fields }] } listing the positive terms that matched.
+function evaluateKeywordExpression(node, fields) {
+    if (node.op === 'term') {
+        const scopes = node.field ? [node.field] : Object.keys(fields);
+        const hitFields = scopes.filter(f => (fields[f] || []).some(text => text && node.regex.test(text)));
+        return { matched: hitFields.length > 0, terms: hitFields.length ? [{ term: node.label, fields: hitFields }] : [] };
+    }
+    if (node.op === 'not') {
+        return { matched: !evaluateKeywordExpression(node.children[0], fields).matched, terms: [] };
+    }
+    const results = node.children.map(child => evaluateKeywordExpression(child, fields));
+    const matched = node.op === 'and' ? results.every(r => r.matched) : results.some(r => r.matched);
+    return { matched, terms: matched ? results.filter(r => r.matched).flatMap(r => r.terms) : [] };
+}
+
+// Compile a list of expressions into [{ expression, tree }]; throws on the first syntax error
+const compileKeywordList = (list, options) => (list || []).filter(Boolean).map(expression => ({ expression, tree: compileKeywordExpression(expression, options) }));
+
+// Matches of a compiled keyword list: [{ expression, terms: [{ term, fields }] }]
+function matchKeywordList(compiled, fields) {
+    const matches = [];
+    for (const { expression, tree } of compiled) {
+        const result = evaluateKeywordExpression(tree, fields);
+        if (result.matched) matches.push({ expression, terms: result.terms });
+    }
+    return matches;
+}
+
+module.exports = {
+    KEYWORD_FIELDS,
+    compileKeywordExpression,
+    evaluateKeywordExpression,
+    compileKeywordList,
+    matchKeywordList,
+};
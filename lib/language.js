@@ -0,0 +1,120 @@
+// Channel language: from the language metadata of the channel and its videos, or guessed offline from their text
+
+// Language codes that say nothing about the language (not linguistic content, undetermined)
+const NON_LANGUAGE_CODES = ['zxx', 'und', 'mul'];
+
+// Scripts that identify a language on their own, checked in order (Japanese text also contains Han characters)
+const SCRIPT_LANGUAGES = [
+    { language: 'ja', regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { language: 'ko', regex: /\p{Script=Hangul}/gu },
+    { language: 'zh', regex: /\p{Script=Han}/gu },
+    { language: 'hi', regex: /\p{Script=Devanagari}/gu },
+    { language: 'bn', regex: /\p{Script=Bengali}/gu },
+    { language: 'ta', regex: /\p{Script=Tamil}/gu },
+    { language: 'te', regex: /\p{Script=Telugu}/gu },
+    { language: 'th', regex: /\p{Script=Thai}/gu },
+    { language: 'ar', regex: /\p{Script=Arabic}/gu },
+    { language: 'he', regex: /\p{Script=Hebrew}/gu },
+    { language: 'el', regex: /\p{Script=Greek}/gu },
+    { language: 'ru', regex: /\p{Script=Cyrillic}/gu },
+];
+
+// Frequent function words of languages written in Latin script. Romanized Hindi ("Hinglish") is common in
+// Indian video titles, so it has a list of its own. Words shared by several lists (de, que, la...) count for each
+// of them only in part, see STOPWORD_WEIGHTS.
+const STOPWORDS = {
+    en: 'the and to of you your is are for with how what this that my it be can will from about why get do not',
+    es: 'el la los las y de que en para con por tu tus como un una es del al más qué cómo mi lo se no sus',
+    pt: 'o os as e de que do da dos das em para com um uma você seu sua não como mais é no na seus',
+    fr: 'le la les et de des du un une pour avec est vous votre pas que qui dans sur comment je ce mon',
+    de: 'der die das und ist nicht mit für ich du dein wie ein eine zu auf den von sie es im dich',
+    it: 'il lo gli e che di per con non un una come della del sono è mi ti questo tuo tua',
+    nl: 'de het een en van is niet met voor je jouw hoe op zijn dat wat ik ook naar',
+    hi: 'hai hain ke ki ka se mein nahi aur kya ko kaise apne apna yeh ye jo bhi kar karo hota hoga liye',
+    id: 'yang dan di untuk dengan ini itu tidak cara kamu anda dari ada akan bisa',
+    tr: 've bir bu için ile ne nasıl değil çok daha gibi sen senin',
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Weight of each stopword: 1 divided by the number of languages listing it, so "de" alone does not outvote "el la"
+const STOPWORD_WEIGHTS = {};
+for (const set of Object.values(STOPWORD_SETS)) {
+    for (const word of set) STOPWORD_WEIGHTS[word] = (STOPWORD_WEIGHTS[word] || 0) + 1;
+}
+for (const word of Object.keys(STOPWORD_WEIGHTS)) STOPWORD_WEIGHTS[word] = 1 / STOPWORD_WEIGHTS[word];
+
+// Fewest stopword hits a guess from Latin-script text needs
+const MIN_STOPWORD_HITS = 3;
+
+// Primary subtag of a BCP-47 code in lowercase (en-US -> en, zh-Hans -> zh); null for empty or non-language codes
+function normalizeLanguageCode(code) {
+    const primary = String(code || '').trim().split(/[-_]/)[0].toLowerCase();
+    if (!primary || NON_LANGUAGE_CODES.includes(primary)) return null;
+    return primary;
+}
+
+// Guess the language of some text without calling any service. Returns { language, confidence } or null when
+// there is too little to go on. A script that identifies a language wins when it makes up a third of the letters;
+// otherwise weighted stopword counts decide, and confidence is the winner's share of the weighted hits.
+function guessLanguage(texts) {
+    const text = (Array.isArray(texts) ? texts : [texts]).filter(Boolean).join('\n');
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (!letters) return null;
+
+    for (const { language, regex } of SCRIPT_LANGUAGES) {
+        const count = (text.match(regex) || []).length;
+        if (count / letters >= 1 / 3) return { language, confidence: Math.round(count / letters * 100) / 100 };
+    }
+
+    const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map(language => [language, 0]));
+    const hits = { ...scores };
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+        for (const [language, set] of Object.entries(STOPWORD_SETS)) {
+            if (!set.has(word)) continue;
+            scores[language] += STOPWORD_WEIGHTS[word];
+            hits[language]++;
+        }
+    }
+    const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    if (hits[best] < MIN_STOPWORD_HITS) return null;
+    const total = Object.values(scores).reduce((a, b) => a + b, 0);
+    return { language: best, confidence: Math.round(score / total * 100) / 100 };
+}
+
+// Most common language code in a list, with its share: { language, confidence } or null
+function majorityLanguage(codes) {
+    const counts = {};
+    const valid = codes.map(normalizeLanguageCode).filter(Boolean);
+    for (const code of valid) counts[code] = (counts[code] || 0) + 1;
+    const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return best ? { language: best[0], confidence: Math.round(best[1] / valid.length * 100) / 100 } : null;
+}
+
+// Language of a channel from its channels.list item and videos.list items, as { language, source, confidence }.
+// Sources in order of preference:
+// - videoAudio: the videos' defaultAudioLanguage (what is spoken)
+// - channel: the channel's defaultLanguage (snippet or brandingSettings)
+// - videoMetadata: the videos' defaultLanguage (language of titles and descriptions)
+// - text: guessed from channel and video titles and descriptions (guessLanguage)
+// language and source are null when none of them gives an answer.
+function detectChannelLanguage(ch = {}, videos = []) {
+    const snippet = ch.snippet || {};
+    const branding = (ch.brandingSettings && ch.brandingSettings.channel) || {};
+    const videoSnippets = videos.map(v => v.snippet || {});
+
+    const audio = majorityLanguage(videoSnippets.map(s => s.defaultAudioLanguage));
+    if (audio) return { ...audio, source: 'videoAudio' };
+    const channelLanguage = normalizeLanguageCode(snippet.defaultLanguage || branding.defaultLanguage);
+    if (channelLanguage) return { language: channelLanguage, source: 'channel', confidence: 1 };
+    const metadata = majorityLanguage(videoSnippets.map(s => s.defaultLanguage));
+    if (metadata) return { ...metadata, source: 'videoMetadata' };
+    const guess = guessLanguage([snippet.title, snippet.description, ...videoSnippets.flatMap(s => [s.title, s.description])]);
+    if (guess) return { ...guess, source: 'text' };
+    return { language: null, source: null, confidence: null };
+}
+
+module.exports = {
+    normalizeLanguageCode,
+    guessLanguage,
+    detectChannelLanguage,
+};
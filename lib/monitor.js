@@ -0,0 +1,97 @@
+// Monitoring: snapshots of the qualified channels of a run and the delta (new, changed, dropped) against the last one
+
+// Key-value store key of the snapshot for a monitorKey (keys allow a limited character set and 256 characters)
+function monitorSnapshotKey(monitorKey) {
+    return `snapshot-${String(monitorKey).replace(/[^a-zA-Z0-9!_.'()-]/g, '-').slice(0, 200)}`;
+}
+
+// Contact values per kind, sorted, so two records' contacts compare regardless of where they were found
+function contactValues(contacts) {
+    const values = {};
+    for (const [kind, list] of Object.entries(contacts || {})) values[kind] = list.map(c => c.value).sort();
+    return values;
+}
+
+// Snapshot entry of a qualified record; previous is the channel's entry in the last snapshot, if any
+function monitorSnapshotEntry(record, previous) {
+    return {
+        channelName: record.channelName,
+        channelUrl: record.channelUrl,
+        subscriberCount: record.subscriberCount,
+        avgViews: record.avgViews,
+        country: record.country,
+        contacts: contactValues(record.contacts),
+        leadScore: record.leadScore,
+        firstSeenAt: previous ? previous.firstSeenAt : record.lastScrapedAt,
+        lastSeenAt: record.lastScrapedAt,
+    };
+}
+
+// Compare a snapshot entry with the current one: [{ field, old, new }], contacts also with added/removed values.
+// Counts only change when they moved by at least changeThreshold relative to the old value.
+function diffMonitoredChannel(previous, current, changeThreshold = 0) {
+    const changes = [];
+    for (const field of ['subscriberCount', 'avgViews']) {
+        const before = previous[field] ?? null;
+        const after = current[field] ?? null;
+        if (before === after) continue;
+        if (before !== null && after !== null && Math.abs(after - before) < changeThreshold * Math.abs(before)) continue;
+        changes.push({ field, old: before, new: after });
+    }
+    if ((previous.country || '') !== (current.country || '')) {
+        changes.push({ field: 'country', old: previous.country || '', new: current.country || '' });
+    }
+    const before = previous.contacts || {};
+    const after = current.contacts;
+    const flat = (values) => Object.entries(values).flatMap(([kind, list]) => list.map(value => `${kind}:${value}`));
+    const added = flat(after).filter(v => !flat(before).includes(v));
+    const removed = flat(before).filter(v => !flat(after).includes(v));
+    if (added.length || removed.length) changes.push({ field: 'contacts', old: before, new: after, added, removed });
+    return changes;
+}
+
+// Status of a qualified record against its last snapshot entry: { monitorStatus: 'new' | 'changed' | 'unchanged', changes }
+function monitorStatus(record, previous, changeThreshold = 0) {
+    if (!previous) return { monitorStatus: 'new', changes: [] };
+    const changes = diffMonitoredChannel(previous, monitorSnapshotEntry(record, previous), changeThreshold);
+    return { monitorStatus: changes.length ? 'changed' : 'unchanged', changes };
+}
+
+// The CHANGES delta of a run: { counts, changes } from its marked results and the snapshot channels that no
+// longer qualify (drops: channelId -> { reason, failedCriteria }). Unchanged channels are only counted.
+function collectMonitorChanges(results, drops, previousChannels) {
+    const changes = [];
+    const counts = { new: 0, changed: 0, unchanged: 0, dropped: 0 };
+    for (const record of results) {
+        counts[record.monitorStatus]++;
+        if (record.monitorStatus === 'unchanged') continue;
+        const { channelId, channelName, channelUrl } = record;
+        changes.push({ status: record.monitorStatus, channelId, channelName, channelUrl, changes: record.changes, record });
+    }
+    for (const [channelId, drop] of Object.entries(drops)) {
+        const previous = previousChannels[channelId] || {};
+        counts.dropped++;
+        changes.push({ status: 'dropped', channelId, channelName: previous.channelName, channelUrl: previous.channelUrl, ...drop, previous });
+    }
+    return { counts, changes };
+}
+
+// Channels of the next snapshot: this run's qualified records, plus old snapshot channels the run did not evaluate
+function nextSnapshotChannels(previousChannels, processed, results) {
+    const channels = {};
+    for (const [channelId, entry] of Object.entries(previousChannels)) {
+        if (!processed.has(channelId)) channels[channelId] = entry;
+    }
+    for (const record of results) channels[record.channelId] = monitorSnapshotEntry(record, previousChannels[record.channelId]);
+    return channels;
+}
+
+module.exports = {
+    monitorSnapshotKey,
+    contactValues,
+    monitorSnapshotEntry,
+    diffMonitoredChannel,
+    monitorStatus,
+    collectMonitorChanges,
+    nextSnapshotChannels,
+};
@@ -0,0 +1,33 @@
+// Resumable run state: which saved STATE a run may pick up
+
+const crypto = require('crypto');
+
+// Inputs that change how a run goes, not which channels it finds or how it judges them, so a stopped run can be
+// resumed with e.g. a new API key, a larger quotaBudget or a higher maxChannels
+const RESUME_NEUTRAL_INPUTS = [
+    'apiKey', 'apiKeys', 'quotaBudget', 'maxChannels', 'verbose', 'headless', 'sleepMs', 'maxRequestsPerSecond', 'concurrency',
+    'webhookUrl', 'webhookSecret', 'webhookBatchSize', 'webhookMaxRetries', 'webhookTimeoutMs', 'exportFormats', 'fieldMapping',
+    'cacheStoreName', 'cacheTtlHours', 'stateStoreName', 'transportMode', 'fixturesDir',
+];
+
+// JSON with object keys sorted, so the same input always gives the same string
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// SHA-256 of the inputs that decide the candidates and the results (everything but RESUME_NEUTRAL_INPUTS).
+// Saved with STATE; a run whose input gives another fingerprint starts over instead of resuming.
+function inputFingerprint(input) {
+    const relevant = Object.fromEntries(Object.entries(input || {}).filter(([key]) => !RESUME_NEUTRAL_INPUTS.includes(key)));
+    return crypto.createHash('sha256').update(stableStringify(relevant)).digest('hex');
+}
+
+module.exports = {
+    RESUME_NEUTRAL_INPUTS,
+    stableStringify,
+    inputFingerprint,
+};
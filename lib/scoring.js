@@ -0,0 +1,126 @@
+// Lead scoring: a 0-100 leadScore with a per-component breakdown, and ranking by it
+
+const { round2 } = require('./stats');
+
+// Lead scoring model. Each component scores 0..1 and is weighted; leadScore = 100 * weighted average.
+// - subscriberBand: 1 inside [min, max], falling to 0 one order of magnitude outside; hidden counts score 0.5
+// - viewsToSubscribers: avgViews (per avgViewsMetric) / subscribers relative to targetViewsPerSubscriber
+// - uploadRecency: 1 for an upload today, 0 at recencyHorizonDays since the last upload
+// - uploadCadence: uploads per week in the sample relative to targetUploadsPerWeek
+// - keywordHits: matched includeKeywords relative to keywordHitsForFullScore (skipped without includeKeywords)
+// - shortsRatio: 1 - share of Shorts in the sample
+const DEFAULT_SCORING = {
+    weights: {
+        subscriberBand: 20,
+        viewsToSubscribers: 25,
+        uploadRecency: 15,
+        uploadCadence: 10,
+        keywordHits: 20,
+        shortsRatio: 10,
+    },
+    subscriberBand: { min: 5000, max: 250000 },
+    targetViewsPerSubscriber: 0.1,
+    recencyHorizonDays: 60,
+    targetUploadsPerWeek: 1,
+    keywordHitsForFullScore: 3,
+};
+
+// The scoring input merged over DEFAULT_SCORING; weights and subscriberBand are merged key by key
+function resolveScoringConfig(scoring = {}) {
+    return {
+        ...DEFAULT_SCORING,
+        ...scoring,
+        weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) },
+        subscriberBand: { ...DEFAULT_SCORING.subscriberBand, ...(scoring.subscriberBand || {}) },
+    };
+}
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+// Score a channel from its measured values. Components that cannot be measured (null) are left out
+// and the remaining weights are renormalized. keywordsScored is false when no includeKeywords are set, which
+// leaves keywordHits out. Returns { leadScore, scoreBreakdown }.
+function scoreChannel({ subscriberCount, avgViews, sampleVideos, includeHits, shortsRatio }, cfg = DEFAULT_SCORING, { keywordsScored = true, now = Date.now() } = {}) {
+    const components = {};
+
+    const band = cfg.subscriberBand;
+    let bandScore = 0.5;
+    if (subscriberCount !== null) {
+        if (subscriberCount >= band.min && subscriberCount <= band.max) bandScore = 1;
+        else {
+            const edge = subscriberCount < band.min ? band.min : band.max;
+            bandScore = clamp01(1 - Math.abs(Math.log10(Math.max(subscriberCount, 1) / Math.max(edge, 1))));
+        }
+    }
+    components.subscriberBand = { score: bandScore, measure: subscriberCount };
+
+    const viewsPerSubscriber = subscriberCount ? avgViews / subscriberCount : null;
+    components.viewsToSubscribers = {
+        score: viewsPerSubscriber === null ? null : clamp01(viewsPerSubscriber / cfg.targetViewsPerSubscriber),
+        measure: viewsPerSubscriber === null ? null : round2(viewsPerSubscriber),
+    };
+
+    const publishTimes = sampleVideos
+        .map(v => new Date(v.snippet && v.snippet.publishedAt).getTime())
+        .filter(t => !isNaN(t))
+        .sort((a, b) => b - a);
+    const daysSinceLastUpload = publishTimes.length ? (now - publishTimes[0]) / 86400000 : null;
+    components.uploadRecency = {
+        score: daysSinceLastUpload === null ? null : clamp01(1 - daysSinceLastUpload / cfg.recencyHorizonDays),
+        measure: daysSinceLastUpload === null ? null : round2(daysSinceLastUpload),
+    };
+
+    let uploadsPerWeek = null;
+    if (publishTimes.length >= 2) {
+        const spanDays = Math.max((publishTimes[0] - publishTimes[publishTimes.length - 1]) / 86400000, 1);
+        uploadsPerWeek = (publishTimes.length - 1) / spanDays * 7;
+    }
+    components.uploadCadence = {
+        score: uploadsPerWeek === null ? null : clamp01(uploadsPerWeek / cfg.targetUploadsPerWeek),
+        measure: uploadsPerWeek === null ? null : round2(uploadsPerWeek),
+    };
+
+    components.keywordHits = {
+        score: keywordsScored ? clamp01(includeHits.length / cfg.keywordHitsForFullScore) : null,
+        measure: includeHits,
+    };
+
+    components.shortsRatio = { score: clamp01(1 - shortsRatio), measure: round2(shortsRatio) };
+
+    let totalWeight = 0;
+    let weighted = 0;
+    for (const [name, c] of Object.entries(components)) {
+        const weight = Number(cfg.weights[name]) || 0;
+        if (c.score === null || weight <= 0) continue;
+        totalWeight += weight;
+        weighted += weight * c.score;
+    }
+    const scoreBreakdown = {};
+    for (const [name, c] of Object.entries(components)) {
+        const weight = Number(cfg.weights[name]) || 0;
+        const counted = c.score !== null && weight > 0 && totalWeight > 0;
+        scoreBreakdown[name] = {
+            score: c.score === null ? null : round2(c.score),
+            weight,
+            points: counted ? round2(100 * weight * c.score / totalWeight) : 0,
+            measure: c.measure,
+        };
+    }
+    const leadScore = totalWeight > 0 ? Math.round(1000 * weighted / totalWeight) / 10 : 0;
+    return { leadScore, scoreBreakdown };
+}
+
+// Sort by leadScore, best first; ties keep discovery order
+function rankByScore(records) {
+    return records
+        .map((r, i) => [r, i])
+        .sort((a, b) => (b[0].leadScore - a[0].leadScore) || (a[1] - b[1]))
+        .map(([r]) => r);
+}
+
+module.exports = {
+    DEFAULT_SCORING,
+    resolveScoringConfig,
+    scoreChannel,
+    rankByScore,
+};
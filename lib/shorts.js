@@ -0,0 +1,62 @@
+// Shorts classification: which videos of a sample are YouTube Shorts, from duration, hashtags/tags, player aspect
+// ratio and title patterns
+
+const { isoDurationToSeconds } = require('./stats');
+
+// Longest a Short can be (YouTube raised the limit from 60 seconds to 3 minutes in October 2024)
+const DEFAULT_SHORTS_MAX_DURATION_SECONDS = 180;
+
+// #shorts and its common variants (#short, #ytshorts, #youtubeshorts, #shortsvideo, #shortsfeed)
+const SHORTS_HASHTAG_REGEX = /#(?:yt|youtube)?shorts?(?:video|feed)?(?![\p{L}\p{N}_])/iu;
+const SHORTS_TAG_REGEX = /^#?(?:yt|youtube)?shorts?(?:video|feed)?$/i;
+// "Title | Shorts", "Title - Short", "(Shorts) Title", "[SHORTS]": the word set off as a label, not in a sentence
+const SHORTS_TITLE_REGEX = /(?:^|[|\-–—:])\s*shorts?\s*$|[([]\s*shorts?\s*[)\]]/i;
+
+// Classify one videos.list item (snippet, contentDetails and, when requested with maxWidth/maxHeight, player).
+// A video longer than maxDurationSeconds is never a Short. Otherwise:
+// - with player embed dimensions, the aspect ratio decides: vertical or square videos are Shorts
+// - without them, a #shorts hashtag or tag or a Shorts title label marks a Short, and so does a duration
+//   of 60 seconds or less (the old Shorts limit) when there is no signal either way
+// Returns { isShort, durationSeconds, signals } where signals lists the evidence found: duration,
+// vertical, horizontal, hashtag, tag and titlePattern.
+function classifyShort(video, { maxDurationSeconds = DEFAULT_SHORTS_MAX_DURATION_SECONDS } = {}) {
+    const snippet = video.snippet || {};
+    const durationSeconds = isoDurationToSeconds(video.contentDetails && video.contentDetails.duration);
+    const signals = [];
+    // Live streams and premieres report P0D; only a known duration can rule a Short in or out
+    if (durationSeconds > maxDurationSeconds) return { isShort: false, durationSeconds, signals };
+    if (durationSeconds > 0) signals.push('duration');
+
+    const player = video.player || {};
+    const width = Number(player.embedWidth);
+    const height = Number(player.embedHeight);
+    if (width > 0 && height > 0) signals.push(height >= width ? 'vertical' : 'horizontal');
+    if (SHORTS_HASHTAG_REGEX.test(`${snippet.title || ''}\n${snippet.description || ''}`)) signals.push('hashtag');
+    if ((snippet.tags || []).some(tag => SHORTS_TAG_REGEX.test(String(tag).trim()))) signals.push('tag');
+    if (SHORTS_TITLE_REGEX.test(snippet.title || '')) signals.push('titlePattern');
+
+    let isShort;
+    if (signals.includes('vertical') || signals.includes('horizontal')) isShort = signals.includes('vertical') && durationSeconds > 0;
+    else if (signals.some(s => s === 'hashtag' || s === 'tag' || s === 'titlePattern')) isShort = true;
+    else isShort = durationSeconds > 0 && durationSeconds <= 60;
+    return { isShort, durationSeconds, signals };
+}
+
+// Split a video sample into { shorts, longForm } (each keeps the sample order) plus classification by video id
+function splitShorts(videos, options) {
+    const shorts = [];
+    const longForm = [];
+    const classification = new Map();
+    for (const video of videos) {
+        const result = classifyShort(video, options);
+        classification.set(video.id, result);
+        (result.isShort ? shorts : longForm).push(video);
+    }
+    return { shorts, longForm, classification };
+}
+
+module.exports = {
+    DEFAULT_SHORTS_MAX_DURATION_SECONDS,
+    classifyShort,
+    splitShorts,
+};
@@ -0,0 +1,88 @@
+// Video statistics: durations and view/engagement metrics over a video sample
+
+// Share of videos dropped from each end of the sorted view counts for trimmedMeanViews
+const TRIM_RATIO = 0.1;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Parse ISO 8601 duration like PT1H2M30S -> seconds
+function isoDurationToSeconds(iso) {
+    if (!iso || typeof iso !== 'string') return 0;
+    const m = iso.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+    if (!m) return 0;
+    const hours = parseInt(m[1] || '0', 10);
+    const minutes = parseInt(m[2] || '0', 10);
+    const seconds = parseInt(m[3] || '0', 10);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+const toInt = (value) => {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? null : n;
+};
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// View and engagement statistics over a video sample (videos.list items, newest first).
+// Rates are totals over the videos that expose the count (likes/comments can be hidden); null when unknown.
+// avgViewsMetric ("mean", "median" or "trimmedMean") picks selectedViews.
+function computeViewStats(videos, subscriberCount, avgViewsMetric = 'mean') {
+    const views = videos.map(v => toInt(v.statistics && v.statistics.viewCount) || 0);
+    const n = views.length;
+    const mean = n ? views.reduce((a, b) => a + b, 0) / n : 0;
+
+    const sorted = [...views].sort((a, b) => a - b);
+    const trim = Math.floor(n * TRIM_RATIO);
+    const kept = sorted.slice(trim, n - trim);
+    const trimmedMean = kept.length ? kept.reduce((a, b) => a + b, 0) / kept.length : 0;
+
+    const variance = n ? views.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / n : 0;
+    const viewsCv = mean > 0 ? round2(Math.sqrt(variance) / mean) : null;
+
+    const rate = (field) => {
+        let count = 0;
+        let viewsTotal = 0;
+        for (const v of videos) {
+            const value = toInt(v.statistics && v.statistics[field]);
+            if (value === null) continue;
+            count += value;
+            viewsTotal += toInt(v.statistics.viewCount) || 0;
+        }
+        return viewsTotal > 0 ? Math.round(count / viewsTotal * 10000) / 10000 : null;
+    };
+
+    const times = videos.map(v => new Date(v.snippet && v.snippet.publishedAt).getTime()).filter(t => !isNaN(t)).sort((a, b) => b - a);
+    const gaps = times.slice(1).map((t, i) => (times[i] - t) / 86400000);
+    const cadence = median(gaps);
+
+    const avgViews = Math.round(mean);
+    const medianViews = n ? Math.round(median(views)) : 0;
+    const trimmedMeanViews = Math.round(trimmedMean);
+    const selected = avgViewsMetric === 'median' ? medianViews : avgViewsMetric === 'trimmedMean' ? trimmedMeanViews : avgViews;
+    return {
+        avgViews,
+        medianViews,
+        trimmedMeanViews,
+        // The statistic avgViewsMin/avgViewsMax and scoring apply to
+        selectedViews: selected,
+        viewsPerSubscriber: subscriberCount ? Math.round(selected / subscriberCount * 10000) / 10000 : null,
+        likeRate: rate('likeCount'),
+        commentRate: rate('commentCount'),
+        uploadCadenceDays: cadence === null ? null : round2(cadence),
+        viewsCv,
+    };
+}
+
+module.exports = {
+    TRIM_RATIO,
+    isoDurationToSeconds,
+    toInt,
+    median,
+    round2,
+    computeViewStats,
+};
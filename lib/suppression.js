@@ -0,0 +1,139 @@
+// Suppression list (e.g. CRM leads already contacted or marked do-not-contact): parsing of entries and records,
+// and matching of channels against them. Channels are matched by ID or handle, emails by full address, and
+// contacts by domain (subdomains included) for domain entries. Entries that are none of these are only counted.
+// Legacy /user/ names and /c/ custom names only lead to a channel through an API lookup; they are collected in
+// channelRefs and must be resolved to channel IDs (resolveSuppressionChannelRefs) before matching.
+
+const { normalizeChannelIdOrUrl } = require('./channelRefs');
+
+// Lists an entry can land in, in the order they are reported
+const SUPPRESSION_LISTS = ['channelIds', 'handles', 'emails', 'emailDomains', 'websiteDomains'];
+
+function createSuppressionList() {
+    return { ...Object.fromEntries(SUPPRESSION_LISTS.map(list => [list, new Set()])), channelRefs: new Set(), unresolved: [], unrecognized: 0 };
+}
+
+const domainOf = (value) => {
+    const m = /^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/:?#]|$)/i.exec(value);
+    return m ? m[1].toLowerCase() : null;
+};
+
+// Classify one entry into [{ list, value }] (empty when unrecognized). Auto-detected: UC... IDs, @handles and
+// YouTube URLs (channels), name@domain (that exact email), other domains or URLs (email and website domain).
+// The prefixes channel:, handle:, email: and website: (or domain:) force a type; email:<domain> suppresses
+// every email at that domain. A full address never widens to its domain, so jane@gmail.com leaves other
+// Gmail users alone.
+function classifySuppressionEntry(entry) {
+    const prefixed = /^(channel|handle|email|website|domain):\s*(.+)$/i.exec(entry);
+    const type = prefixed ? prefixed[1].toLowerCase() : null;
+    const value = prefixed ? prefixed[2].trim() : entry;
+
+    if ((!type || type === 'email') && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return [{ list: 'emails', value: value.toLowerCase() }];
+    }
+    if (type === 'email') {
+        const domain = domainOf(value.replace(/^@/, ''));
+        return domain ? [{ list: 'emailDomains', value: domain }] : [];
+    }
+    if (type === 'website' || type === 'domain') {
+        const domain = domainOf(value);
+        return domain ? [{ list: 'websiteDomains', value: domain }] : [];
+    }
+    if (type || /^(UC[\w-]{22}|@[\w.-]+)$/.test(value) || /(^|[/.])youtube\.com\//i.test(value)) {
+        const ref = normalizeChannelIdOrUrl(type === 'handle' && !value.startsWith('@') ? `@${value}` : value);
+        if (!ref || ref.type === 'unsupported') return [];
+        if (ref.type === 'id') return [{ list: 'channelIds', value: ref.value }];
+        if (ref.type === 'username' || ref.type === 'custom') return [{ list: 'channelRefs', value: `${ref.type}:${ref.value}` }];
+        return [{ list: 'handles', value: ref.value.replace(/^@/, '').toLowerCase() }];
+    }
+    const domain = domainOf(value);
+    return domain ? [{ list: 'emailDomains', value: domain }, { list: 'websiteDomains', value: domain }] : [];
+}
+
+function addSuppressionEntry(suppressionList, raw) {
+    const entry = String(raw).trim();
+    if (!entry) return;
+    const targets = classifySuppressionEntry(entry);
+    if (!targets.length) suppressionList.unrecognized++;
+    for (const { list, value } of targets) suppressionList[list].add(value);
+}
+
+// Entries of a suppression record: every string in a JSON value, or every cell of a CSV (comma, semicolon or
+// tab separated). Header cells like "Email" are not entries and end up unrecognized.
+function suppressionRecordEntries(value) {
+    if (Buffer.isBuffer(value)) value = value.toString('utf8');
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return [...value.matchAll(/"((?:[^"]|"")*)"|[^,;\t\r\n]+/g)]
+                .map(m => (m[1] !== undefined ? m[1].replace(/""/g, '"') : m[0]));
+        }
+    }
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(suppressionRecordEntries);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(suppressionRecordEntries);
+    return [];
+}
+
+// Entry counts per list, as logged and reported in OUTPUT.info.suppression
+function suppressionCounts(suppressionList) {
+    return Object.fromEntries(SUPPRESSION_LISTS.map(list => [list, suppressionList[list].size]));
+}
+
+function isSuppressionActive(suppressionList) {
+    return SUPPRESSION_LISTS.some(list => suppressionList[list].size > 0);
+}
+
+// Resolve the channelRefs entries into channelIds. resolve(ref) is async and returns { channelId } or
+// { channelId: null, reason }; it may throw, e.g. when the quota budget is spent. Entries that resolve to no
+// channel are kept in unresolved as { entry, reason } and suppress nothing.
+async function resolveSuppressionChannelRefs(suppressionList, resolve) {
+    for (const entry of suppressionList.channelRefs) {
+        const separator = entry.indexOf(':');
+        const ref = { type: entry.slice(0, separator), value: entry.slice(separator + 1) };
+        const { channelId, reason } = await resolve(ref);
+        if (channelId) suppressionList.channelIds.add(channelId);
+        else suppressionList.unresolved.push({ entry, reason });
+    }
+    suppressionList.channelRefs.clear();
+}
+
+const domainListed = (domain, domains) => {
+    if (!domain) return null;
+    const parts = domain.toLowerCase().split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        const candidate = parts.slice(i).join('.');
+        if (domains.has(candidate)) return candidate;
+    }
+    return null;
+};
+
+// Find the suppression entry a channel matches: { reason, values } or null
+function matchSuppression(suppressionList, { channelId, handle, contacts }) {
+    if (suppressionList.channelIds.has(channelId)) return { reason: 'suppressed_channel_id', values: { entry: channelId } };
+    const cleanHandle = (handle || '').replace(/^@/, '').toLowerCase();
+    if (cleanHandle && suppressionList.handles.has(cleanHandle)) return { reason: 'suppressed_handle', values: { entry: cleanHandle } };
+    for (const email of contacts.emails) {
+        if (suppressionList.emails.has(email.value)) return { reason: 'suppressed_email', values: { entry: email.value } };
+        const entry = domainListed(email.domain, suppressionList.emailDomains);
+        if (entry) return { reason: 'suppressed_email_domain', values: { entry, email: email.value } };
+    }
+    for (const website of contacts.websites) {
+        const entry = domainListed(website.domain, suppressionList.websiteDomains);
+        if (entry) return { reason: 'suppressed_website_domain', values: { entry, website: website.value } };
+    }
+    return null;
+}
+
+module.exports = {
+    SUPPRESSION_LISTS,
+    createSuppressionList,
+    classifySuppressionEntry,
+    addSuppressionEntry,
+    suppressionRecordEntries,
+    suppressionCounts,
+    isSuppressionActive,
+    resolveSuppressionChannelRefs,
+    matchSuppression,
+};
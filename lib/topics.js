@@ -0,0 +1,106 @@
+// Channel topics: topicDetails (Wikipedia topic URLs and Freebase topic IDs) normalized to readable names
+
+// YouTube's topic IDs (https://developers.google.com/youtube/v3/docs/channels#topicDetails.topicIds), named after
+// the Wikipedia articles topicCategories links to, so both sources give the same name
+const TOPIC_IDS = {
+    '/m/04rlf': 'Music',
+    '/m/02mscn': 'Christian music',
+    '/m/0ggq0m': 'Classical music',
+    '/m/01lyv': 'Country music',
+    '/m/02lkt': 'Electronic music',
+    '/m/0glt670': 'Hip hop music',
+    '/m/05rwpb': 'Independent music',
+    '/m/03_d0': 'Jazz',
+    '/m/028sqc': 'Music of Asia',
+    '/m/0g293': 'Music of Latin America',
+    '/m/064t9': 'Pop music',
+    '/m/06cqb': 'Reggae',
+    '/m/06j6l': 'Rhythm and blues',
+    '/m/06by7': 'Rock music',
+    '/m/0gywn': 'Soul music',
+    '/m/0bzvm2': 'Video game culture',
+    '/m/025zzc': 'Action game',
+    '/m/02ntfj': 'Action-adventure game',
+    '/m/0b1vjn': 'Casual game',
+    '/m/02hygl': 'Music video game',
+    '/m/04q1x3q': 'Puzzle video game',
+    '/m/01sjng': 'Racing video game',
+    '/m/0403l3g': 'Role-playing video game',
+    '/m/021bp2': 'Simulation video game',
+    '/m/022dc6': 'Sports game',
+    '/m/03hf_rm': 'Strategy video game',
+    '/m/06ntj': 'Sport',
+    '/m/0jm_': 'American football',
+    '/m/018jz': 'Baseball',
+    '/m/018w8': 'Basketball',
+    '/m/01cgz': 'Boxing',
+    '/m/09xp_': 'Cricket',
+    '/m/02vx4': 'Association football',
+    '/m/037hz': 'Golf',
+    '/m/03tmr': 'Ice hockey',
+    '/m/01h7lh': 'Mixed martial arts',
+    '/m/0410tth': 'Motorsport',
+    '/m/07bs0': 'Tennis',
+    '/m/07_53': 'Volleyball',
+    '/m/02jjt': 'Entertainment',
+    '/m/09kqc': 'Humour',
+    '/m/02vxn': 'Film',
+    '/m/05qjc': 'Performing arts',
+    '/m/066wd': 'Professional wrestling',
+    '/m/0f2f9': 'Television program',
+    '/m/019_rr': 'Lifestyle',
+    '/m/032tl': 'Fashion',
+    '/m/027x7n': 'Physical fitness',
+    '/m/02wbm': 'Food',
+    '/m/03glg': 'Hobby',
+    '/m/068hy': 'Pet',
+    '/m/041xxh': 'Physical attractiveness',
+    '/m/07c1v': 'Technology',
+    '/m/07bxq': 'Tourism',
+    '/m/07yv9': 'Vehicle',
+    '/m/098wr': 'Society',
+    '/m/09s1f': 'Business',
+    '/m/0kt51': 'Health',
+    '/m/01h6rj': 'Military',
+    '/m/05qt0': 'Politics',
+    '/m/06bvp': 'Religion',
+    '/m/01k8wb': 'Knowledge',
+};
+
+// Readable name of a topic: a Wikipedia URL (https://en.wikipedia.org/wiki/Lifestyle_(sociology) -> "Lifestyle"),
+// a topic ID (/m/019_rr -> "Lifestyle") or a plain name (returned trimmed). Null for an unknown topic ID.
+function normalizeTopic(topic) {
+    const s = String(topic || '').trim();
+    if (!s) return null;
+    if (/^\/m\//.test(s)) return TOPIC_IDS[s] || null;
+    const wiki = s.match(/wikipedia\.org\/wiki\/([^?#]+)/i);
+    if (!wiki) return s;
+    let title;
+    try {
+        title = decodeURIComponent(wiki[1]);
+    } catch (e) {
+        title = wiki[1];
+    }
+    // Wikipedia disambiguation suffixes like "(sociology)" are not part of the topic
+    return title.replace(/_/g, ' ').replace(/\s*\([^)]*\)\s*$/, '').trim() || null;
+}
+
+// Topic names of a channels.list item, from topicCategories and the (older) topicIds, deduplicated
+function channelTopics(topicDetails = {}) {
+    const names = [...(topicDetails.topicCategories || []), ...(topicDetails.topicIds || [])].map(normalizeTopic).filter(Boolean);
+    const seen = new Set();
+    return names.filter(name => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+}
+
+// Topics of `topics` that one of the filter entries names (entries may be names, Wikipedia URLs or topic IDs)
+function matchTopics(topics, filter) {
+    const wanted = new Set((filter || []).map(normalizeTopic).filter(Boolean).map(name => name.toLowerCase()));
+    return topics.filter(name => wanted.has(name.toLowerCase()));
+}
+
+module.exports = {
+    TOPIC_IDS,
+    normalizeTopic,
+    channelTopics,
+    matchTopics,
+};
@@ -0,0 +1,81 @@
+// HTTP transports for the YouTube client. A transport is async (url, { headers }) => { status, body } with the
+// body as text. The recording transport saves every response it passes through to a fixture file and the replay
+// transport answers from those files, so a recorded run can be repeated (and tested) offline.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Error code thrown by the replay transport for a request that was never recorded
+const FIXTURE_MISSING = 'FIXTURE_MISSING';
+
+// Requests over fetch (Node 18+ global fetch, or node-fetch), aborted after timeoutMs
+function createFetchTransport({ fetch = global.fetch ? global.fetch.bind(global) : require('node-fetch'), timeoutMs = 30000 } = {}) {
+    return async function fetchTransport(url, { headers = {} } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const res = await fetch(url, { headers, signal: controller.signal });
+            return { status: res.status, body: await res.text() };
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+}
+
+// Fixture file name for a request: endpoint plus a hash of its sorted query. The base URL is left out, so
+// responses recorded from the live API replay against any base URL. Keys travel in headers and never reach it.
+function fixtureName(url) {
+    const { pathname, searchParams } = new URL(url);
+    const endpoint = pathname.split('/').filter(Boolean).pop();
+    const query = [...searchParams].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([k, v]) => `${k}=${v}`).join('&');
+    const hash = crypto.createHash('sha1').update(`${endpoint}?${query}`).digest('hex').slice(0, 16);
+    return `${endpoint}-${hash}.json`;
+}
+
+// Pass requests to `inner` and save each response to <dir>/<fixtureName>, replacing an older recording.
+// Fixtures are { request: { endpoint, query }, response: { status, json } }, or response.body for a non-JSON body.
+function createRecordingTransport(dir, inner = createFetchTransport()) {
+    fs.mkdirSync(dir, { recursive: true });
+    return async function recordingTransport(url, options) {
+        const response = await inner(url, options);
+        const { pathname, searchParams } = new URL(url);
+        let saved;
+        try {
+            saved = { status: response.status, json: JSON.parse(response.body) };
+        } catch (e) {
+            saved = { status: response.status, body: response.body };
+        }
+        const fixture = {
+            request: { endpoint: pathname.split('/').filter(Boolean).pop(), query: Object.fromEntries(searchParams) },
+            response: saved,
+        };
+        fs.writeFileSync(path.join(dir, fixtureName(url)), `${JSON.stringify(fixture, null, 2)}\n`);
+        return response;
+    };
+}
+
+// Answer requests from fixtures in dir. A request without a fixture throws FIXTURE_MISSING instead of going online.
+function createReplayTransport(dir) {
+    return async function replayTransport(url) {
+        const file = path.join(dir, fixtureName(url));
+        let fixture;
+        try {
+            fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            const err = new Error(`No fixture for ${new URL(url).pathname.split('/').pop()} request (${path.basename(file)}) in ${dir}`);
+            err.code = FIXTURE_MISSING;
+            throw err;
+        }
+        const { status, json, body } = fixture.response;
+        return { status, body: json !== undefined ? JSON.stringify(json) : body };
+    };
+}
+
+module.exports = {
+    FIXTURE_MISSING,
+    createFetchTransport,
+    fixtureName,
+    createRecordingTransport,
+    createReplayTransport,
+};
@@ -0,0 +1,105 @@
+// Webhook delivery: signed JSON POSTs with retries, and dead-letter entries for deliveries that keep failing
+
+const crypto = require('crypto');
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// X-Webhook-Signature value: HMAC-SHA256 over "<timestamp>.<body>", so receivers can reject replays
+function signWebhookBody(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Create a sender. Options:
+// - url: endpoint to POST to; secret: shared secret for X-Webhook-Signature (no header without it)
+// - maxRetries: retries with exponential backoff on 5xx, 429, timeouts and network errors
+// - timeoutMs: per delivery attempt; retryBaseMs: first retry delay, doubled on every further attempt (max 30s)
+// - fetch: fetch implementation; log: { warning(message, data) }; sleep: async (ms)
+// - onDeadLetter: async (entry) called with { event, payload, attempts, lastStatus, lastError, failedAt } when a
+//   delivery fails after all retries
+// Returns { post, deliver, stats }; stats counts { delivered, failed } deliveries.
+function createWebhookSender({
+    url,
+    secret = '',
+    maxRetries = 5,
+    timeoutMs = 10000,
+    retryBaseMs = 1000,
+    fetch,
+    log = { warning: () => {} },
+    sleep = defaultSleep,
+    onDeadLetter = async () => {},
+}) {
+    const stats = { delivered: 0, failed: 0 };
+
+    // Send one payload. Returns { ok, status, error, attempts } after retrying 5xx/429/timeouts with backoff.
+    async function post(payload) {
+        const body = JSON.stringify(payload);
+        const deliveryId = crypto.randomUUID();
+        let attempt = 0;
+        let last = {};
+        while (attempt <= maxRetries) {
+            attempt++;
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'apify-youtube-lead-scraper/1.0 (+apify)',
+                'X-Webhook-Event': payload.event,
+                'X-Webhook-Id': deliveryId,
+                'X-Webhook-Timestamp': timestamp,
+            };
+            if (secret) headers['X-Webhook-Signature'] = signWebhookBody(secret, timestamp, body);
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+            let retryable;
+            try {
+                const res = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    timeout: timeoutMs,
+                    ...(controller ? { signal: controller.signal } : {}),
+                });
+                if (res.ok) return { ok: true, status: res.status, attempts: attempt };
+                last = { status: res.status, error: `HTTP ${res.status}` };
+                retryable = res.status >= 500 || res.status === 429;
+            } catch (err) {
+                // Network errors and timeouts (aborted requests) are worth retrying
+                last = { status: null, error: err.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : err.message };
+                retryable = true;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+            if (!retryable || attempt > maxRetries) break;
+            const wait = Math.min(retryBaseMs * Math.pow(2, attempt - 1), 30000);
+            log.warning(`Webhook delivery failed (${last.error}) — retrying after ${wait}ms (attempt ${attempt})`, { event: payload.event });
+            await sleep(wait);
+        }
+        return { ok: false, ...last, attempts: attempt };
+    }
+
+    // Deliver a payload; deliveries that keep failing are handed to onDeadLetter
+    async function deliver(payload) {
+        const result = await post(payload);
+        if (result.ok) {
+            stats.delivered++;
+            return result;
+        }
+        stats.failed++;
+        log.warning('Webhook delivery failed; saved to dead-letter list', { event: payload.event, error: result.error, attempts: result.attempts });
+        await onDeadLetter({
+            event: payload.event,
+            payload,
+            attempts: result.attempts,
+            lastStatus: result.status,
+            lastError: result.error,
+            failedAt: new Date().toISOString(),
+        });
+        return result;
+    }
+
+    return { post, deliver, stats };
+}
+
+module.exports = {
+    signWebhookBody,
+    createWebhookSender,
+};
@@ -0,0 +1,233 @@
+// YouTube Data API v3 client: quota ledger, API key rotation, shared rate limit and retries on top of a
+// pluggable HTTP transport (see transport.js)
+
+const { createFetchTransport, FIXTURE_MISSING } = require('./transport');
+
+const DEFAULT_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+
+// Quota cost in units per YouTube Data API endpoint (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+    search: 100,
+    channels: 1,
+    playlistItems: 1,
+    videos: 1,
+    channelSections: 1,
+};
+
+// Error code used when the next API call would go over quotaBudget
+const QUOTA_BUDGET_EXHAUSTED = 'QUOTA_BUDGET_EXHAUSTED';
+// Error code used when every API key has run out of YouTube's daily quota
+const API_QUOTA_EXHAUSTED = 'API_QUOTA_EXHAUSTED';
+// Error code used when YouTube rejects an API key; the run fails instead of retrying
+const API_KEY_INVALID = 'API_KEY_INVALID';
+
+// YouTube error reasons (error.errors[].reason, or error.details[].reason in newer responses) mapped to the
+// reasons the client acts on. See https://developers.google.com/youtube/v3/docs/errors
+const API_ERROR_REASONS = {
+    quotaExceeded: 'quotaExceeded',
+    dailyLimitExceeded: 'quotaExceeded',
+    rateLimitExceeded: 'rateLimitExceeded',
+    userRateLimitExceeded: 'rateLimitExceeded',
+    RATE_LIMIT_EXCEEDED: 'rateLimitExceeded',
+    keyInvalid: 'keyInvalid',
+    keyExpired: 'keyInvalid',
+    API_KEY_INVALID: 'keyInvalid',
+    forbidden: 'forbidden',
+};
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket shared by every API call: refills at ratePerSecond up to `burst` tokens.
+// Callers are served in arrival order, so concurrent workers share the rate fairly.
+function createRateLimiter(ratePerSecond, { burst = Math.max(1, Math.ceil(ratePerSecond)), sleep = defaultSleep } = {}) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * ratePerSecond);
+        lastRefill = now;
+    }
+
+    async function take() {
+        refill();
+        if (tokens < 1) {
+            await sleep(Math.ceil((1 - tokens) / ratePerSecond * 1000));
+            refill();
+        }
+        tokens -= 1;
+    }
+
+    return function acquire() {
+        queue = queue.then(take);
+        return queue;
+    };
+}
+
+// Quota errors wind the run down cleanly: either the quota budget is spent or every API key is out of quota
+function isQuotaBudgetError(err) {
+    return !!err && (err.code === QUOTA_BUDGET_EXHAUSTED || err.code === API_QUOTA_EXHAUSTED);
+}
+
+// Errors no caller may swallow: an invalid key, or a replayed request that was never recorded
+function isFatalApiError(err) {
+    return !!err && (err.code === API_KEY_INVALID || err.code === FIXTURE_MISSING);
+}
+
+// Parse a YouTube error response into { reason, message }. reason is one of API_ERROR_REASONS' values when
+// recognised, otherwise the raw reason or http_<status>
+function parseApiError(status, text) {
+    let error = {};
+    try {
+        error = (JSON.parse(text) || {}).error || {};
+    } catch (e) {
+        // Not JSON (e.g. an HTML error page from a proxy)
+    }
+    const rawReasons = [...(error.errors || []), ...(error.details || [])].map(e => e && e.reason).filter(Boolean);
+    const message = error.message || String(text || '').slice(0, 200);
+    let reason = rawReasons.map(r => API_ERROR_REASONS[r]).find(Boolean);
+    if (!reason && /API key not valid/i.test(message)) reason = 'keyInvalid';
+    if (!reason && status === 429) reason = 'rateLimitExceeded';
+    if (!reason && status === 403) reason = 'forbidden';
+    return { reason: reason || rawReasons[0] || `http_${status}`, message };
+}
+
+// Create a client. Options:
+// - apiKeys: keys in the order they are used (required; never logged, referred to as key#1, key#2, ...)
+// - baseUrl: API base URL, e.g. a local mock server
+// - transport: async (url, { headers }) => { status, body } (default: fetch)
+// - quotaBudget: max quota units to spend; 0 or null disables the budget
+// - requestsPerSecond: shared token-bucket rate for all requests
+// - retryBaseMs: first retry delay, doubled on every further attempt
+// - log: { warning(message, data) }; sleep: async (ms)
+// Returns { request, quota, keys, phase }. quota is the ledger { budget, spent, byEndpoint, byPhase }, keys the
+// per-key usage [{ key, label, status, requests, quotaUnits, errors }], and phase ('discovery' or 'evaluation')
+// the quota phase charged when request() is not given one.
+function createYouTubeClient({
+    apiKeys,
+    baseUrl = DEFAULT_API_BASE_URL,
+    transport = createFetchTransport(),
+    quotaBudget = null,
+    requestsPerSecond = 5,
+    retryBaseMs = 1000,
+    log = { warning: () => {} },
+    sleep = defaultSleep,
+}) {
+    const keys = apiKeys.map((key, i) => ({ key, label: `key#${i + 1}`, status: 'active', requests: 0, quotaUnits: 0, errors: {} }));
+    const acquireRequestSlot = createRateLimiter(requestsPerSecond, { sleep });
+
+    // Quota ledger: every request attempt is charged here before it is sent
+    const quota = {
+        budget: quotaBudget > 0 ? quotaBudget : null,
+        spent: 0,
+        byEndpoint: {},
+        byPhase: {},
+    };
+    const client = { quota, keys, phase: 'discovery', request };
+
+    function chargeQuota(path, phase) {
+        const cost = QUOTA_COSTS[path] ?? 1;
+        if (quota.budget !== null && quota.spent + cost > quota.budget) {
+            const err = new Error(`Quota budget exhausted: ${path} costs ${cost} units, ${quota.budget - quota.spent} of ${quota.budget} left`);
+            err.code = QUOTA_BUDGET_EXHAUSTED;
+            throw err;
+        }
+        quota.spent += cost;
+        quota.byEndpoint[path] = (quota.byEndpoint[path] || 0) + cost;
+        quota.byPhase[phase] = (quota.byPhase[phase] || 0) + cost;
+    }
+
+    // First API key that still has quota; throws API_QUOTA_EXHAUSTED when none is left
+    function currentApiKey() {
+        const entry = keys.find(k => k.status === 'active');
+        if (!entry) {
+            const err = new Error(`All ${keys.length} API key(s) are out of YouTube quota`);
+            err.code = API_QUOTA_EXHAUSTED;
+            throw err;
+        }
+        return entry;
+    }
+
+    // Utility: call YouTube Data API endpoints and return JSON, with basic retry/backoff
+    // Throws a QUOTA_BUDGET_EXHAUSTED error (see isQuotaBudgetError) without calling the API when the budget is spent.
+    // Error responses are parsed into a reason (parseApiError):
+    // - quotaExceeded: the key is marked exhausted and the call is repeated with the next key; API_QUOTA_EXHAUSTED
+    //   is thrown once no key is left
+    // - keyInvalid: throws API_KEY_INVALID (see isFatalApiError) straight away
+    // - rateLimitExceeded / 429, 5xx, network errors and unreadable JSON: retried with exponential backoff
+    // - anything else (forbidden, not found, bad request): thrown without retrying, with err.status and err.reason
+    async function request(path, params = {}, { maxRetries = 3, phase = client.phase } = {}) {
+        // Parameters left undefined are not sent
+        const qs = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined));
+        const url = `${baseUrl.replace(/\/+$/, '')}/${path}?${qs.toString()}`;
+
+        let attempt = 0;
+        while (attempt <= maxRetries) {
+            const keyEntry = currentApiKey();
+            chargeQuota(path, phase);
+            await acquireRequestSlot();
+            keyEntry.requests++;
+            keyEntry.quotaUnits += QUOTA_COSTS[path] ?? 1;
+
+            let retryError;
+            try {
+                const res = await transport(url, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'apify-youtube-lead-scraper/1.0 (+apify)',
+                        'X-Goog-Api-Key': keyEntry.key,
+                    },
+                });
+                if (res.status >= 200 && res.status < 300) return JSON.parse(res.body);
+
+                const { reason, message } = parseApiError(res.status, res.body);
+                keyEntry.errors[reason] = (keyEntry.errors[reason] || 0) + 1;
+                if (reason === 'quotaExceeded') {
+                    if (keyEntry.status === 'active') {
+                        keyEntry.status = 'quotaExceeded';
+                        log.warning(`API ${keyEntry.label} is out of quota; switching to the next key`, { path, keysLeft: keys.filter(k => k.status === 'active').length });
+                    }
+                    continue;
+                }
+                if (reason === 'keyInvalid') {
+                    keyEntry.status = 'invalid';
+                    const err = new Error(`YouTube rejected API ${keyEntry.label} as invalid: ${message}`);
+                    err.code = API_KEY_INVALID;
+                    throw err;
+                }
+                const err = new Error(`YouTube API error ${res.status} (${reason}) on ${path}: ${message}`);
+                err.status = res.status;
+                err.reason = reason;
+                if (reason !== 'rateLimitExceeded' && res.status < 500) throw err;
+                retryError = err;
+            } catch (err) {
+                // API errors that should not be retried are already complete; the rest are network/JSON failures
+                if (err.reason || isFatalApiError(err)) throw err;
+                retryError = err;
+            }
+
+            attempt++;
+            if (attempt > maxRetries) throw retryError;
+            const wait = retryBaseMs * Math.pow(2, attempt);
+            log.warning(`youtubeApiRequest failed, attempt ${attempt}. Waiting ${wait}ms. Error: ${retryError.message}`);
+            await sleep(wait);
+        }
+    }
+
+    return client;
+}
+
+module.exports = {
+    DEFAULT_API_BASE_URL,
+    QUOTA_COSTS,
+    QUOTA_BUDGET_EXHAUSTED,
+    API_QUOTA_EXHAUSTED,
+    API_KEY_INVALID,
+    API_ERROR_REASONS,
+    createRateLimiter,
+    isQuotaBudgetError,
+    isFatalApiError,
+    parseApiError,
+    createYouTubeClient,
+};
@@ -3,59 +3,242 @@
 // Saves results to the default dataset and OUTPUT key-value store.
 //
 // Required input (see README.md for full input example):
-// - apiKey: YouTube Data API v3 key (required)
+// - apiKey: YouTube Data API v3 key, and/or
+// - apiKeys: [] (more keys; used in order, switching to the next one when a key runs out of daily quota)
 //
 // Optional inputs (defaults shown):
 // - minSubscribers: 1000
 // - avgViewsMin: 0
 // - avgViewsMax: null
+// - avgViewsMetric: "mean" (statistic avgViewsMin/avgViewsMax and scoring use: "mean", "median" or "trimmedMean")
+// - <metric>Min / <metric>Max: null (optional bounds for medianViews, trimmedMeanViews, viewsPerSubscriber, likeRate,
+//   commentRate, uploadCadenceDays and viewsCv, e.g. likeRateMin: 0.02, uploadCadenceDaysMax: 14)
 // - recentVideoWithinDays: 30 (set to 0 to disable recent-video requirement)
 // - sampleSize: 12 (number of recent videos to use when computing avgViews)
-// - allowShorts: false
-// - includeKeywords: [] (if non-empty, require at least one include keyword match in channel or recent video title/description)
-// - excludeKeywords: ["entrepreneur", "marketing", "guru", "growth", "7-figure", "funnel", "agency"]
+// - allowShorts: false (true accepts any share of Shorts, like maxShortsRatio: 1)
+// - maxShortsRatio: 0 (highest share of Shorts in the sample a channel may have; 0 rejects any Short, as before)
+// - shortsMaxDurationSeconds: 180 (videos longer than this are never classified as Shorts)
+// - includeKeywords: [] (keyword expressions; if non-empty, at least includeMinMatches of them must match)
+// - excludeKeywords: ["entrepreneur", "marketing", "guru", "growth", "7-figure", "funnel", "agency"] (any match excludes)
+// - includeMinMatches: 1 (how many includeKeywords expressions must match)
+// - keywordMatchMode: "word" ("word" matches whole words/phrases; "substring" matches anywhere, like older versions)
+//   Keyword expressions support AND/OR/NOT, parentheses, "quoted phrases", prefix* terms, /regex/flags and field
+//   scopes (title:, description:, videoTitle:, videoDescription:). A plain entry like life coach is one phrase.
 // - country: "" (optional)
+// - includeTopics: [] (topic names, Wikipedia topic URLs or topic IDs; if non-empty, the channel needs one of them)
+// - excludeTopics: [] (channels with any of these topics are rejected)
+// - languages: [] (ISO 639-1 codes, e.g. ["en"]; if non-empty, the channel language must be one of them)
 // - maxChannels: 200
-// - seedChannels: [] (channel IDs or full URLs or custom names — will be normalized when possible)
+// - seedChannels: [] (channel IDs, @handles, channel URLs (/channel/, /@handle, /user/, /c/) or custom names)
+// - resolveCustomUrlsBySearch: false (fall back to search for /c/ names, accepting only an exact handle/title match)
+// - expandDiscovery: false (queue channels that qualified channels feature or link to in their descriptions)
+// - expansionDepth: 1 (how many hops from the seed/search candidates expansion may go)
+// - expansionFanOut: 10 (max new candidates queued from one qualified channel)
 // - searchQueries: [] (text queries to find channels via search.list type=channel)
+// - searchType: "channel" ("channel" searches channels; "video" searches videos and rolls them up to their channels)
+// - maxResultsPerQuery: 50 (channels collected per search query, paging through results 50 at a time)
+// - maxSearchPages: 10 (hard cap on search.list pages per query; each page costs 100 quota units)
+// - regionCode: "" (ISO 3166-1 alpha-2 code passed to search.list)
+// - relevanceLanguage: "" (ISO 639-1 code passed to search.list)
+// - searchOrder: "relevance" (date, rating, relevance, title, videoCount, viewCount)
+// - publishedAfter: "" (RFC 3339 date-time or YYYY-MM-DD; only content created after it is returned)
 // - headless: true (not used here, left for parity)
-// - sleepMs: 200 (delay between API calls to be gentle on quota)
+// - sleepMs: 200 (legacy pacing; used to derive maxRequestsPerSecond = 1000 / sleepMs when that is not set)
+// - maxRequestsPerSecond: null (shared token-bucket limit for all API calls; default derived from sleepMs)
+// - concurrency: 3 (channels evaluated in parallel during the playlist/video phase)
+// - requireContact: false (require at least one email, website, booking, link-in-bio or social link)
+// - scoring: {} (lead scoring settings, merged over DEFAULT_SCORING: weights, subscriberBand, targets)
+// - keepNearMisses: false (keep channels that fail only soft criteria in OUTPUT.nearMisses instead of dropping them)
+// - exportFormats: [] (extra key-value store exports: "csv", "jsonl", "hubspot-contact", "hubspot-company", "pipedrive-lead")
+// - fieldMapping: null (columns for the csv/jsonl exports: a preset name, { "Column": "path.to.field" } or ["path", ...])
+// - webhookUrl: "" (POST qualified leads to this URL as they are saved, plus a final run.completed event)
+// - webhookSecret: "" (shared secret for the X-Webhook-Signature HMAC-SHA256 header)
+// - webhookBatchSize: 1 (leads per leads.qualified delivery)
+// - webhookMaxRetries: 5 (retries with exponential backoff on 5xx, 429, timeouts and network errors)
+// - webhookTimeoutMs: 10000 (per delivery attempt)
+// - suppression: [] (channel IDs, channel URLs/@handles, email addresses/domains or website domains never to return)
+// - suppressionKey: "" (key-value store record with more suppression entries, as CSV or JSON)
+// - suppressionStoreName: "" (named key-value store holding suppressionKey; empty = default store)
+// - rejectionDatasetName: "youtube-lead-rejections" (named dataset receiving one item per rejected channel; "" disables)
+// - quotaBudget: 10000 (max API quota units this run may spend; 0 disables the budget)
+// - cacheStoreName: "youtube-lead-cache" (named key-value store caching channels.list/videos.list responses per channel)
+// - cacheTtlHours: 168 (how long cached channel/video responses are reused; 0 disables the cache)
+// - stateStoreName: "" (named key-value store for the run state; set it to resume a quota-stopped run in a later run)
+// - monitorKey: "" (compare qualified channels with the last run using the same key and write the delta to CHANGES)
+// - monitorStoreName: "youtube-lead-monitor" (named key-value store holding one snapshot per monitorKey)
+// - monitorChangeThreshold: 0.1 (relative change of subscriberCount/avgViews that counts as changed; 0 = any change)
+// - apiBaseUrl: "" (YouTube Data API base URL; empty = https://www.googleapis.com/youtube/v3, e.g. a mock server in tests)
+// - transportMode: "live" ("record" also saves every API response to fixturesDir; "replay" answers from it offline)
+// - fixturesDir: "fixtures" (directory of recorded API responses)
 // - verbose: true
 //
 // Notes:
 // - This actor uses only the YouTube Data API v3. It does NOT scrape YouTube pages.
 // - Provide a valid API key in input; without it the actor will abort safely.
 // - The actor uses playlistItems.list and videos.list in batches to compute avg views and other metrics.
-// - Shorts detection: videos with duration < 60s are considered shorts.
-// - Safety: rate-limited by sleepMs and small default sampleSize. Adjust for larger runs and monitor quota.
+// - Shorts detection: duration, #shorts hashtags/tags, player aspect ratio and title labels (see lib/shorts.js).
+//   avgViews and the engagement metrics are computed over long-form videos; Shorts are reported in shortsMetrics.
+// - Safety: rate-limited by maxRequestsPerSecond and small default sampleSize. Adjust for larger runs and monitor quota.
+// - Batching: channel details are fetched 50 IDs per channels.list call; channels are then evaluated by a pool of
+//   `concurrency` workers and committed (dataset, webhook, state) in candidate order, so output stays deterministic.
+// - Quota: every API call is charged against quotaBudget before it is sent. When the next call would exceed
+//   the budget the run stops evaluating channels and still writes OUTPUT (see OUTPUT.info.quota).
+// - Resumability: the candidate queue, processed channels, partial results and quota ledger are kept under
+//   STATE (default key-value store, or stateStoreName), so a migrated or restarted run continues where it stopped.
+//   Discovery progress (seeds and queries done, page token of the query in progress) is kept too. STATE carries a
+//   fingerprint of the input (lib/runState.js) and is discarded when a run's input gives another one.
+// - Scoring: every saved record carries leadScore (0-100) and scoreBreakdown; OUTPUT.results is sorted by leadScore.
+//   Soft criteria (recent video, shorts, include keywords, avgViews range, metric bounds, contact) can be relaxed
+//   with keepNearMisses; language, topics and the other filters stay hard.
+// - Audit: every rejected channel is recorded with a stable reason code and the measured values, and
+//   OUTPUT.info.funnel shows how many channels passed each filter stage.
+// - Contacts: emails, websites, booking links, link-in-bio pages and social profiles are extracted from the channel
+//   and sample video descriptions (already fetched, no extra quota) into record.contacts.
+// - Expansion: with expandDiscovery, qualified channels' featured channels and description links are queued as new
+//   candidates (record.discoveredVia / discoveryDepth tell where each channel came from).
+// - Topics and language: topicDetails are normalized to readable names (record.topics); the language comes from
+//   channel/video language metadata, or an offline guess from their text (record.language / languageSource).
 
+const path = require('path');
 const Apify = require('apify');
+const { normalizeChannelIdOrUrl, simplifyName, channelLinksInText } = require('./lib/channelRefs');
+const { toInt, computeViewStats } = require('./lib/stats');
+const { compileKeywordList, matchKeywordList } = require('./lib/keywords');
+const { extractContacts, hasAnyContact } = require('./lib/contacts');
+const { metricBoundsFromInput, checkMetricBounds } = require('./lib/filters');
+const { splitShorts } = require('./lib/shorts');
+const { channelTopics, matchTopics } = require('./lib/topics');
+const { normalizeLanguageCode, detectChannelLanguage } = require('./lib/language');
+const { DEFAULT_API_BASE_URL, createYouTubeClient, isQuotaBudgetError, isFatalApiError } = require('./lib/youtubeApi');
+const { createFetchTransport, createRecordingTransport, createReplayTransport } = require('./lib/transport');
+const { CRM_FIELD_MAPPINGS, EXPORT_KEYS, buildExport } = require('./lib/exports');
+const { createWebhookSender } = require('./lib/webhook');
+const { monitorSnapshotKey, monitorStatus, collectMonitorChanges, nextSnapshotChannels } = require('./lib/monitor');
+const { inputFingerprint } = require('./lib/runState');
+const { resolveScoringConfig, scoreChannel, rankByScore } = require('./lib/scoring');
+const {
+    createSuppressionList, addSuppressionEntry, suppressionRecordEntries, suppressionCounts, isSuppressionActive, resolveSuppressionChannelRefs,
+    matchSuppression,
+} = require('./lib/suppression');
 
 const { log, sleep } = Apify.utils;
 
+// channels.list parts requested for every candidate (one call costs 1 quota unit whatever the parts)
+const CHANNEL_PARTS = 'snippet,statistics,contentDetails,topicDetails,brandingSettings,localizations';
+// videos.list parts; player embed dimensions (only returned when maxWidth is set) show a video's aspect ratio
+const VIDEO_PARTS = 'snippet,statistics,contentDetails,player';
+const PLAYER_EMBED_WIDTH = 480;
+
+// Default key-value store key holding the resumable run state
+const STATE_KEY = 'STATE';
+
+// Default key-value store key listing webhook deliveries that failed after all retries
+const WEBHOOK_DEAD_LETTER_KEY = 'WEBHOOK_DEAD_LETTER';
+
+// Default key-value store key holding the monitoring delta (new, changed and dropped leads) of a monitorKey run
+const CHANGES_KEY = 'CHANGES';
+
 Apify.main(async () => {
     const input = (await Apify.getInput()) || {};
     const {
         apiKey,
+        apiKeys = [],
         minSubscribers = 1000,
         avgViewsMin = 0,
         avgViewsMax = null,
+        avgViewsMetric = 'mean',
         recentVideoWithinDays = 30,
         sampleSize = 12,
         allowShorts = false,
+        maxShortsRatio = 0,
+        shortsMaxDurationSeconds = 180,
         includeKeywords = [],
         excludeKeywords = ['entrepreneur', 'marketing', 'guru', 'growth', '7-figure', 'funnel', 'agency'],
+        includeMinMatches = 1,
+        keywordMatchMode = 'word',
         country = '',
+        includeTopics = [],
+        excludeTopics = [],
+        languages = [],
         maxChannels = 200,
         seedChannels = [],
+        resolveCustomUrlsBySearch = false,
+        expandDiscovery = false,
+        expansionDepth = 1,
+        expansionFanOut = 10,
         searchQueries = [],
+        searchType = 'channel',
+        maxResultsPerQuery = 50,
+        maxSearchPages = 10,
+        regionCode = '',
+        relevanceLanguage = '',
+        searchOrder = 'relevance',
+        publishedAfter = '',
         sleepMs = 200,
+        maxRequestsPerSecond = null,
+        concurrency = 3,
+        requireContact = false,
+        exportFormats = [],
+        fieldMapping = null,
+        webhookUrl = '',
+        webhookSecret = '',
+        webhookBatchSize = 1,
+        webhookMaxRetries = 5,
+        webhookTimeoutMs = 10000,
+        rejectionDatasetName = 'youtube-lead-rejections',
+        suppression = [],
+        suppressionKey = '',
+        suppressionStoreName = '',
+        scoring = {},
+        keepNearMisses = false,
+        quotaBudget = 10000,
+        cacheStoreName = 'youtube-lead-cache',
+        cacheTtlHours = 168,
+        stateStoreName = '',
+        monitorKey = '',
+        monitorStoreName = 'youtube-lead-monitor',
+        monitorChangeThreshold = 0.1,
+        apiBaseUrl = '',
+        transportMode = 'live',
+        fixturesDir = 'fixtures',
         verbose = true,
     } = input;
 
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.trim() === '') {
-        log.error('You must provide a valid YouTube Data API key in the input as "apiKey".');
-        throw new Error('Missing YouTube Data API key (input.apiKey)');
+    for (const format of exportFormats) {
+        if (!EXPORT_KEYS[format]) throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_KEYS).join(', ')}`);
+    }
+    if (typeof fieldMapping === 'string' && !CRM_FIELD_MAPPINGS[fieldMapping]) {
+        throw new Error(`Unknown fieldMapping preset "${fieldMapping}". Use one of: ${Object.keys(CRM_FIELD_MAPPINGS).join(', ')}`);
+    }
+
+    if (!['mean', 'median', 'trimmedMean'].includes(avgViewsMetric)) {
+        throw new Error(`Unknown avgViewsMetric "${avgViewsMetric}". Use one of: mean, median, trimmedMean`);
+    }
+    // Optional bounds per metric, read from <metric>Min / <metric>Max inputs
+    const metricBounds = metricBoundsFromInput(input);
+    // allowShorts predates maxShortsRatio and still lifts the limit
+    const shortsRatioLimit = allowShorts ? 1 : maxShortsRatio;
+    // Accepted languages as primary subtags, so "en-US" in the input also accepts channels marked "en"
+    const allowedLanguages = [...new Set(languages.map(normalizeLanguageCode).filter(Boolean))];
+
+    if (!['live', 'record', 'replay'].includes(transportMode)) {
+        throw new Error(`Unknown transportMode "${transportMode}". Use one of: live, record, replay`);
+    }
+    // Parsed here rather than at the first search, so a bad date fails the run before seeds spend any quota
+    const publishedAfterDate = publishedAfter ? new Date(publishedAfter) : null;
+    if (publishedAfterDate && isNaN(publishedAfterDate.getTime())) throw new Error(`Invalid publishedAfter date: ${publishedAfter}`);
+
+    // API keys in the order they are used: apiKey first, then apiKeys. Keys are only ever referred to by label
+    // (key#1, key#2, ...) in logs and OUTPUT; the values are sent in a request header, never in the URL.
+    const keyList = [apiKey, ...(Array.isArray(apiKeys) ? apiKeys : [])]
+        .filter(k => typeof k === 'string' && k.trim() !== '')
+        .map(k => k.trim())
+        .filter((k, i, all) => all.indexOf(k) === i);
+    // Replayed responses need no key
+    if (!keyList.length && transportMode === 'replay') keyList.push('replay');
+    if (!keyList.length) {
+        log.error('You must provide a valid YouTube Data API key in the input as "apiKey" or "apiKeys".');
+        throw new Error('Missing YouTube Data API key (input.apiKey or input.apiKeys)');
     }
 
     // Lightweight fetch wrapper (supports Node 18+ global fetch or node-fetch)
@@ -65,116 +248,165 @@ Apify.main(async () => {
         if (verbose) log.info(...args);
     }
 
-    // Helper: normalize channel identifier into a channelId if possible
-    // Accepts: full channel URL (https://www.youtube.com/channel/UC...), custom handle/vanity (c/ or user/),
-    // or raw channel ID (UC...).
-    function normalizeChannelIdOrUrl(item) {
-        if (!item) return null;
-        const s = item.trim();
-        // If it's a channel id (starts with UC)
-        if (/^UC[A-Za-z0-9_-]{20,}$/.test(s)) return s;
-        // URL patterns
+    // API client. transportMode "record" saves every response to fixturesDir, "replay" answers from it offline.
+    const fixturesPath = path.resolve(fixturesDir);
+    const transport = transportMode === 'replay' ? createReplayTransport(fixturesPath)
+        : transportMode === 'record' ? createRecordingTransport(fixturesPath, createFetchTransport({ fetch: fetchLib }))
+            : createFetchTransport({ fetch: fetchLib });
+    const api = createYouTubeClient({
+        apiKeys: keyList,
+        baseUrl: apiBaseUrl || DEFAULT_API_BASE_URL,
+        transport,
+        quotaBudget,
+        requestsPerSecond: maxRequestsPerSecond > 0 ? maxRequestsPerSecond : (sleepMs > 0 ? 1000 / sleepMs : 5),
+        log,
+        sleep,
+    });
+    const youtubeApiRequest = api.request;
+    const { quota, keys: apiKeyPool } = api;
+
+    // stopReason for a quota stop
+    function quotaStopReason() {
+        return apiKeyPool.some(k => k.status === 'active') ? 'quota_budget' : 'api_quota_exhausted';
+    }
+
+    // Per-channel response cache shared across runs. Entries look like
+    // { channel: { fetchedAt, parts, data }, videos: { fetchedAt, sampleSize, parts, data } } and each part expires on its own.
+    const cacheStore = cacheTtlHours > 0 ? await Apify.openKeyValueStore(cacheStoreName) : null;
+    const cacheTtlMs = cacheTtlHours * 3600 * 1000;
+    const cacheStats = { hits: 0, misses: 0 };
+
+    async function readChannelCache(channelId) {
+        if (!cacheStore) return {};
+        try {
+            return (await cacheStore.getValue(`channel-${channelId}`)) || {};
+        } catch (e) {
+            log.warning('Failed to read channel cache', { channelId, error: e.message });
+            return {};
+        }
+    }
+
+    async function writeChannelCache(channelId, entry) {
+        if (!cacheStore) return;
         try {
-            const url = new URL(s);
-            const parts = url.pathname.split('/').filter(Boolean);
-            // /channel/<id>
-            if (parts[0] === 'channel' && parts[1]) return parts[1];
-            // /user/<name> or /c/<name> or /@handle
-            // For user/c/custom names, we will return the original URL to try search discovery
-            return s;
+            await cacheStore.setValue(`channel-${channelId}`, entry);
         } catch (e) {
-            // not a URL; maybe a custom name -> return as-is
-            return s;
+            log.warning('Failed to write channel cache', { channelId, error: e.message });
         }
     }
 
-    // Parse ISO 8601 duration like PT1H2M30S -> seconds
-    function isoDurationToSeconds(iso) {
-        if (!iso || typeof iso !== 'string') return 0;
-        const m = iso.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-        if (!m) return 0;
-        const hours = parseInt(m[1] || '0', 10);
-        const minutes = parseInt(m[2] || '0', 10);
-        const seconds = parseInt(m[3] || '0', 10);
-        return hours * 3600 + minutes * 60 + seconds;
+    function isCacheFresh(part) {
+        if (!cacheStore || !part || !part.fetchedAt) return false;
+        return Date.now() - new Date(part.fetchedAt).getTime() < cacheTtlMs;
     }
 
-    // Utility: call YouTube Data API endpoints and return JSON, with basic retry/backoff
-    async function youtubeApiRequest(path, params = {}, maxRetries = 3) {
-        const base = 'https://www.googleapis.com/youtube/v3';
-        params.key = apiKey;
-        const qs = new URLSearchParams(params);
-        const url = `${base}/${path}?${qs.toString()}`;
+    // Search parameters shared by every search.list call; empty values are left out of the request
+    function buildSearchFilters() {
+        const filters = {};
+        if (regionCode) filters.regionCode = regionCode.toUpperCase();
+        if (relevanceLanguage) filters.relevanceLanguage = relevanceLanguage;
+        if (searchOrder) filters.order = searchOrder;
+        if (publishedAfterDate) filters.publishedAfter = publishedAfterDate.toISOString();
+        return filters;
+    }
 
-        let attempt = 0;
-        while (attempt <= maxRetries) {
-            try {
-                const res = await fetchLib(url, {
-                    headers: {
-                        'Accept': 'application/json',
-                        'User-Agent': 'apify-youtube-lead-scraper/1.0 (+apify)',
-                    },
-                    timeout: 30000,
+    // Search for channels by query using search.list, following nextPageToken until maxResults channels are found.
+    // type=channel matches channels directly; type=video matches videos and collects the channels that uploaded them,
+    // which finds channels that cover a topic without having the keyword in their name.
+    // Returns { channelIds, quotaError, pageToken, pages }: when the budget runs out on a later page, the channels
+    // from the earlier pages are returned with the error and the token of the page that was not fetched, and the
+    // caller decides when to stop. Passing that result as resumeFrom continues the search from that page.
+    async function discoverChannelsBySearch(query, maxResults = 50, { type = 'channel', filters = {}, resumeFrom = null } = {}) {
+        const out = resumeFrom ? [...resumeFrom.channelIds] : [];
+        let quotaError = null;
+        const seen = new Set(out);
+        let pageToken = resumeFrom ? resumeFrom.pageToken : null;
+        let pages = resumeFrom ? resumeFrom.pages : 0;
+        try {
+            do {
+                const resp = await youtubeApiRequest('search', {
+                    part: 'snippet',
+                    q: query,
+                    type,
+                    // Video results repeat channels, so always take full pages when rolling up
+                    maxResults: type === 'video' ? 50 : Math.min(maxResults - out.length, 50),
+                    ...filters,
+                    ...(pageToken ? { pageToken } : {}),
                 });
-                if (!res.ok) {
-                    const text = await res.text();
-                    const msg = `YouTube API error ${res.status}: ${text}`;
-                    // For 403/429, backoff and retry a few times
-                    if (res.status === 403 || res.status === 429) {
-                        attempt++;
-                        const wait = 1000 * Math.pow(2, attempt);
-                        log.warning(msg + ` — retrying after ${wait}ms (attempt ${attempt})`);
-                        await sleep(wait);
-                        continue;
-                    }
-                    throw new Error(msg);
-                }
-                const json = await res.json();
-                return json;
-            } catch (err) {
-                attempt++;
-                if (attempt > maxRetries) {
-                    throw err;
+                pages++;
+                for (const it of (resp && resp.items) || []) {
+                    const channelId = it.snippet?.channelId || (it?.id?.channelId);
+                    if (!channelId || seen.has(channelId)) continue;
+                    seen.add(channelId);
+                    out.push(channelId);
+                    if (out.length >= maxResults) break;
                 }
-                const wait = 1000 * Math.pow(2, attempt);
-                log.warning(`youtubeApiRequest failed, attempt ${attempt}. Waiting ${wait}ms. Error: ${err.message}`);
-                await sleep(wait);
+                pageToken = resp && resp.nextPageToken;
+            } while (pageToken && out.length < maxResults && pages < maxSearchPages);
+        } catch (e) {
+            if (isQuotaBudgetError(e)) {
+                quotaError = e;
+            } else {
+                if (isFatalApiError(e)) throw e;
+                log.warning('discoverChannelsBySearch failed', { query, error: e.message });
             }
         }
+        return { channelIds: out, quotaError, pageToken, pages };
     }
 
-    // Search for channels by query using search.list&type=channel
-    async function discoverChannelsBySearch(query, maxResults = 50) {
-        const out = [];
-        try {
-            const resp = await youtubeApiRequest('search', {
-                part: 'snippet',
-                q: query,
-                type: 'channel',
-                maxResults: Math.min(maxResults, 50),
-            });
-            if (resp && resp.items) {
-                for (const it of resp.items) {
-                    const channelId = it.snippet?.channelId || (it?.id?.channelId);
-                    if (channelId) out.push(channelId);
-                }
+    // Look up a channel ID with channels.list (1 quota unit) using forHandle or forUsername
+    async function findChannelId(lookup, { phase } = {}) {
+        const resp = await youtubeApiRequest('channels', { part: 'id', ...lookup }, { phase });
+        const item = resp && resp.items && resp.items[0];
+        return item ? item.id : null;
+    }
+
+    // Resolve a seed reference from normalizeChannelIdOrUrl to { channelId } or { channelId: null, reason }.
+    // Handles and usernames resolve exactly. Custom /c/ names have no API lookup: most match the channel's handle
+    // or legacy username, so those are tried first; search is only used when resolveCustomUrlsBySearch is on,
+    // and then only a channel whose handle or title matches the custom name exactly is accepted.
+    // Options: phase (quota phase to charge), searchFallback (defaults to resolveCustomUrlsBySearch).
+    async function resolveChannelReference(ref, { phase, searchFallback = resolveCustomUrlsBySearch } = {}) {
+        switch (ref.type) {
+            case 'id':
+                return { channelId: ref.value };
+            case 'handle': {
+                const channelId = await findChannelId({ forHandle: ref.value }, { phase });
+                return channelId ? { channelId } : { channelId: null, reason: 'handle_not_found' };
             }
-            await sleep(sleepMs);
-        } catch (e) {
-            log.warning('discoverChannelsBySearch failed', { query, error: e.message });
+            case 'username': {
+                const channelId = (await findChannelId({ forUsername: ref.value }, { phase }))
+                    || (await findChannelId({ forHandle: ref.value }, { phase }));
+                return channelId ? { channelId } : { channelId: null, reason: 'username_not_found' };
+            }
+            case 'custom': {
+                const channelId = (await findChannelId({ forHandle: ref.value }, { phase }))
+                    || (await findChannelId({ forUsername: ref.value }, { phase }));
+                if (channelId) return { channelId };
+                if (!searchFallback) return { channelId: null, reason: 'custom_url_unresolved' };
+                const { channelIds: candidates, quotaError } = await discoverChannelsBySearch(ref.value, 5);
+                if (quotaError) throw quotaError;
+                const details = await getChannelsDetails(candidates);
+                const wanted = simplifyName(ref.value);
+                const match = details.find((ch) => {
+                    const sn = ch.snippet || {};
+                    return simplifyName(sn.customUrl) === wanted || simplifyName(sn.title) === wanted;
+                });
+                return match ? { channelId: match.id } : { channelId: null, reason: 'custom_url_no_exact_match' };
+            }
+            default:
+                return { channelId: null, reason: 'not_a_channel_reference' };
         }
-        return out;
     }
 
     // Get channel details for a list of channelIds (comma-separated up to 50)
     async function getChannelsDetails(channelIds = []) {
         if (!channelIds.length) return [];
         const resp = await youtubeApiRequest('channels', {
-            part: 'snippet,statistics,contentDetails',
+            part: CHANNEL_PARTS,
             id: channelIds.join(','),
             maxResults: channelIds.length,
         });
-        await sleep(sleepMs);
         return resp.items || [];
     }
 
@@ -196,15 +428,15 @@ Apify.main(async () => {
                     if (ids.length >= limit) break;
                 }
                 pageToken = resp.nextPageToken;
-                await sleep(sleepMs);
             } while (pageToken && ids.length < limit);
         } catch (e) {
+            if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
             log.warning('getPlaylistVideoIds error', { playlistId, error: e.message });
         }
         return ids;
     }
 
-    // Get video details (statistics, contentDetails, snippet) for up to 50 ids per call
+    // Get video details (statistics, contentDetails, snippet, player) for up to 50 ids per call
     async function getVideosDetails(videoIds = []) {
         const all = [];
         const chunkSize = 50;
@@ -212,78 +444,403 @@ Apify.main(async () => {
             const chunk = videoIds.slice(i, i + chunkSize);
             try {
                 const resp = await youtubeApiRequest('videos', {
-                    part: 'snippet,statistics,contentDetails',
+                    part: VIDEO_PARTS,
+                    maxWidth: PLAYER_EMBED_WIDTH,
                     id: chunk.join(','),
                     maxResults: chunk.length,
                 });
                 if (resp && resp.items) all.push(...resp.items);
             } catch (e) {
+                if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
                 log.warning('getVideosDetails chunk failed', { error: e.message, chunkLength: chunk.length });
             }
-            await sleep(sleepMs);
         }
         return all;
     }
 
-    // Helper: check keyword lists against text fields
-    function textMatchesKeywords(text = '', keywords = []) {
-        if (!keywords || !keywords.length) return false;
-        const t = (text || '').toLowerCase();
-        for (const kw of keywords) {
-            if (!kw) continue;
-            if (t.includes(kw.toLowerCase())) return true;
+    // Compile the keyword inputs once; a syntax error stops the run before any quota is spent
+    const compiledIncludeKeywords = compileKeywordList(includeKeywords, { matchMode: keywordMatchMode });
+    const compiledExcludeKeywords = compileKeywordList(excludeKeywords, { matchMode: keywordMatchMode });
+
+    // Filter funnel: channels that passed each stage (in evaluation order) and rejections per reason code
+    const FUNNEL_STAGES = ['channelDetails', 'suppression', 'country', 'topics', 'subscribers', 'uploads', 'videos', 'language',
+        'recentVideo', 'shorts', 'excludeKeywords', 'includeKeywords', 'avgViews', 'metrics', 'contact', 'qualified'];
+    const newFunnel = () => ({
+        candidates: 0,
+        stages: Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, 0])),
+        rejections: {},
+        // Suppression-list skips per reason code, kept apart from filter rejections
+        suppressed: {},
+        nearMisses: 0,
+    });
+
+    const rejectionDataset = rejectionDatasetName ? await Apify.openDataset(rejectionDatasetName) : null;
+
+    // Restore state of an interrupted run (Apify migration, crash, restart, or an earlier run stopped by quota)
+    const stateStore = stateStoreName ? await Apify.openKeyValueStore(stateStoreName) : await Apify.openKeyValueStore();
+    const { actorRunId } = Apify.getEnv();
+    // State saved with another input (other queries, seeds or filters) is not resumed; its candidates and results
+    // would not match what this input asks for
+    const inputHash = inputFingerprint(input);
+    const storedState = (await stateStore.getValue(STATE_KEY)) || null;
+    const savedState = storedState && storedState.inputHash === inputHash ? storedState : null;
+    if (storedState && !savedState) log.warning('Saved state belongs to a different input; starting over', { savedAt: storedState.savedAt });
+    // The same run resumes its quota ledger; a later run starts with fresh daily quota. Local runs have no run ID,
+    // so they always count as a later run.
+    const sameRun = !!savedState && !!actorRunId && savedState.runId === actorRunId;
+    if (sameRun) {
+        quota.spent = savedState.quota.spent;
+        quota.byEndpoint = savedState.quota.byEndpoint;
+        quota.byPhase = savedState.quota.byPhase;
+    }
+
+    // Suppression list from the suppression input plus the optional suppressionKey record (see lib/suppression.js)
+    const suppressionList = createSuppressionList();
+    for (const entry of suppression || []) addSuppressionEntry(suppressionList, entry);
+    if (suppressionKey) {
+        const store = suppressionStoreName ? await Apify.openKeyValueStore(suppressionStoreName) : await Apify.openKeyValueStore();
+        const record = await store.getValue(suppressionKey);
+        // Running without the list could return do-not-contact leads, so a missing record is an error
+        if (record === null) throw new Error(`Suppression record "${suppressionKey}" not found in ${suppressionStoreName ? `key-value store "${suppressionStoreName}"` : 'the default key-value store'}`);
+        for (const entry of suppressionRecordEntries(record)) addSuppressionEntry(suppressionList, entry);
+    }
+    // /user/ and /c/ entries are looked up once (charged to the suppression quota phase) and matched by channel ID.
+    // Quota and key errors fail the run rather than risk returning suppressed leads.
+    await resolveSuppressionChannelRefs(suppressionList, async (ref) => {
+        try {
+            return await resolveChannelReference(ref, { phase: 'suppression', searchFallback: false });
+        } catch (e) {
+            if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
+            return { channelId: null, reason: 'api_error' };
         }
-        return false;
+    });
+    for (const { entry, reason } of suppressionList.unresolved) {
+        log.warning('Could not resolve suppression entry to a channel; it suppresses nothing', { entry, reason });
+    }
+    const suppressionActive = isSuppressionActive(suppressionList);
+    if (suppressionActive || suppressionList.unrecognized || suppressionList.unresolved.length) {
+        logv('Suppression list loaded', { ...suppressionCounts(suppressionList), unresolved: suppressionList.unresolved.length, unrecognized: suppressionList.unrecognized });
     }
 
+    // Write the requested exportFormats of the ranked records to the default key-value store
+    async function writeExports(records) {
+        const written = {};
+        for (const format of exportFormats) {
+            const { key, contentType } = EXPORT_KEYS[format];
+            await Apify.setValue(key, buildExport(format, records, fieldMapping), { contentType });
+            written[format] = key;
+        }
+        return written;
+    }
+
+    // Deliveries that failed after all retries are appended to the WEBHOOK_DEAD_LETTER record
+    const webhookDeadLetters = (await Apify.getValue(WEBHOOK_DEAD_LETTER_KEY)) || [];
+    const webhook = createWebhookSender({
+        url: webhookUrl,
+        secret: webhookSecret,
+        maxRetries: webhookMaxRetries,
+        timeoutMs: webhookTimeoutMs,
+        fetch: fetchLib,
+        log,
+        sleep,
+        onDeadLetter: async (entry) => {
+            webhookDeadLetters.push(entry);
+            await Apify.setValue(WEBHOOK_DEAD_LETTER_KEY, webhookDeadLetters);
+        },
+    });
+
+    // Queue a qualified record and send a leads.qualified event once webhookBatchSize records are waiting
+    async function queueWebhookLead(record) {
+        if (!webhookUrl) return;
+        webhookPending.push(record);
+        if (webhookPending.length >= Math.max(webhookBatchSize, 1)) await flushWebhookLeads();
+    }
+
+    async function flushWebhookLeads() {
+        if (!webhookUrl || !webhookPending.length) return;
+        const leads = webhookPending.splice(0, webhookPending.length);
+        await webhook.deliver({ event: 'leads.qualified', runId: actorRunId, sentAt: new Date().toISOString(), leads });
+    }
+
+    const scoringConfig = resolveScoringConfig(scoring);
+
     // Collect candidate channel IDs from seedChannels and searchQueries
-    const candidateChannelIds = new Set();
-
-    // From seed channels
-    for (const s of seedChannels || []) {
-        const normalized = normalizeChannelIdOrUrl(s);
-        if (!normalized) continue;
-        if (/^UC[A-Za-z0-9_-]{20,}$/.test(normalized)) {
-            candidateChannelIds.add(normalized);
+    const candidateChannelIds = new Set(savedState ? savedState.candidateChannelIds : []);
+    // Provenance per candidate: channelId -> { depth, discoveredVia }, where discoveredVia is
+    // { type: 'seed', seed }, { type: 'search', query } or { type: 'featuredChannels' | 'description', fromChannelId, ... }
+    const candidateMeta = savedState && savedState.candidateMeta ? savedState.candidateMeta : {};
+    function addCandidate(channelId, depth, discoveredVia) {
+        if (candidateChannelIds.has(channelId)) return false;
+        candidateChannelIds.add(channelId);
+        candidateMeta[channelId] = { depth, discoveredVia };
+        return true;
+    }
+    // Set when the quota budget ends the run before every candidate was evaluated
+    let stopReason = sameRun ? savedState.stopReason : null;
+    let discoveryDone = savedState ? !!savedState.discoveryDone : false;
+    // Discovery progress, so a discovery cut short by the budget continues where it stopped: the seeds and search
+    // queries finished so far, and the search query in progress { channelIds, pageToken, pages }
+    const discoveryProgress = savedState && savedState.discoveryProgress ? savedState.discoveryProgress : { seedsDone: 0, queriesDone: 0, search: null };
+    // Seeds that could not be resolved to a channel: { seed, type, reason }
+    const unresolvedSeeds = savedState ? savedState.unresolvedSeeds || [] : [];
+
+    const results = savedState ? savedState.results : [];
+    // Channels that failed only soft criteria, kept when keepNearMisses is on
+    const nearMisses = savedState ? savedState.nearMisses || [] : [];
+    // Saved leads waiting for a full webhook batch
+    const webhookPending = savedState ? savedState.webhookPending || [] : [];
+    const processed = new Set(savedState ? savedState.processed : []);
+    // A funnel saved by an older version may lack newer stages, so it is laid over a fresh one
+    const funnel = savedState && savedState.funnel
+        ? { ...newFunnel(), ...savedState.funnel, stages: { ...newFunnel().stages, ...savedState.funnel.stages } }
+        : newFunnel();
+
+    // Record a rejected channel: count it in the funnel and write it to the rejection dataset.
+    // reason is a stable code (e.g. below_min_subscribers, excluded_keyword:<kw>); values are the measured inputs.
+    async function rejectChannel({ channelId, channelTitle = '', reason, stage, values = {}, message, otherReasons }) {
+        const counts = stage === 'suppression' ? funnel.suppressed : funnel.rejections;
+        counts[reason] = (counts[reason] || 0) + 1;
+        logv(message || `Rejected: ${reason}`, { channelTitle, channelId, reason, ...values });
+        if (!rejectionDataset) return;
+        try {
+            await rejectionDataset.pushData({
+                // The named dataset outlives the run, so items say which run rejected them and how it found the channel
+                runId: actorRunId,
+                discoveredVia: candidateMeta[channelId] ? candidateMeta[channelId].discoveredVia : null,
+                channelId,
+                channelName: channelTitle,
+                channelUrl: `https://www.youtube.com/channel/${channelId}`,
+                reason,
+                stage,
+                values,
+                ...(otherReasons && otherReasons.length ? { otherReasons } : {}),
+                rejectedAt: new Date().toISOString(),
+            });
+        } catch (e) {
+            log.warning('Failed to record rejection', { channelId, reason, error: e.message });
+        }
+    }
+
+    if (savedState) {
+        log.info('Resuming from saved state', {
+            candidates: candidateChannelIds.size,
+            processed: processed.size,
+            collected: results.length,
+            quotaSpent: quota.spent,
+        });
+    }
+    // Records collected by an earlier run live in that run's dataset; copy them so this run's dataset is complete
+    if (savedState && !sameRun && results.length) await Apify.pushData(results);
+
+    async function persistState() {
+        await stateStore.setValue(STATE_KEY, {
+            runId: actorRunId,
+            inputHash,
+            candidateChannelIds: Array.from(candidateChannelIds),
+            candidateMeta,
+            discoveryDone,
+            discoveryProgress,
+            unresolvedSeeds,
+            processed: Array.from(processed),
+            results,
+            nearMisses,
+            funnel,
+            webhookPending,
+            monitorDrops,
+            stopReason,
+            quota: { spent: quota.spent, byEndpoint: quota.byEndpoint, byPhase: quota.byPhase },
+            savedAt: new Date().toISOString(),
+        });
+    }
+
+    Apify.events.on('persistState', () => persistState().catch((e) => log.warning('Failed to persist state', { error: e.message })));
+
+    // Monitoring: the qualified channels of the last completed run with the same monitorKey are kept as a snapshot
+    // { monitorKey, savedAt, runId, channels: { channelId: entry } } in monitorStoreName
+    const monitorStore = monitorKey ? await Apify.openKeyValueStore(monitorStoreName) : null;
+    const snapshotKey = monitorSnapshotKey(monitorKey);
+    const previousSnapshot = monitorStore ? await monitorStore.getValue(snapshotKey) : null;
+    const previousChannels = previousSnapshot ? previousSnapshot.channels : {};
+    // Snapshot channels are re-checked on top of maxChannels: they neither take candidate slots nor count towards
+    // the qualified channels, so a full snapshot cannot crowd out new search results
+    const monitoredCount = Object.keys(previousChannels).length;
+    const newlyQualified = () => (monitoredCount ? results.filter(r => !previousChannels[r.channelId]).length : results.length);
+
+    // Mark a qualified record against the snapshot: monitorStatus 'new', 'changed' or 'unchanged', plus changes
+    function markMonitorStatus(record) {
+        Object.assign(record, monitorStatus(record, previousChannels[record.channelId], monitorChangeThreshold));
+    }
+
+    // Snapshot channels that no longer qualify, with why: channelId -> { reason, failedCriteria }
+    const monitorDrops = savedState && savedState.monitorDrops ? savedState.monitorDrops : {};
+
+    // Write CHANGES and, once every candidate was evaluated, the new snapshot. Channels of the old snapshot that
+    // this run did not get to (e.g. after a quota stop) stay in the snapshot as they were. Returns OUTPUT.info.monitor.
+    async function writeMonitorResults() {
+        const { counts, changes } = collectMonitorChanges(results, monitorDrops, previousChannels);
+
+        const complete = stopReason === null;
+        const comparedAt = new Date().toISOString();
+        await Apify.setValue(CHANGES_KEY, {
+            monitorKey,
+            previousRunAt: previousSnapshot ? previousSnapshot.savedAt : null,
+            comparedAt,
+            complete,
+            counts,
+            changes,
+        });
+
+        if (complete) {
+            const channels = nextSnapshotChannels(previousChannels, processed, results);
+            await monitorStore.setValue(snapshotKey, { monitorKey, savedAt: comparedAt, runId: actorRunId, channels });
         } else {
-            // If it's a URL or custom name, try to resolve via search (channel title or custom name)
-            // Use search.list with query = the seed string
-            try {
-                const found = await discoverChannelsBySearch(normalized, 5);
-                for (const fid of found) candidateChannelIds.add(fid);
-            } catch (e) { /* ignore */ }
+            log.warning('Run stopped early; monitor snapshot left unchanged so the next run compares against the same baseline', { monitorKey });
         }
+        return {
+            monitorKey,
+            storeName: monitorStoreName,
+            snapshotKey,
+            previousRunAt: previousSnapshot ? previousSnapshot.savedAt : null,
+            snapshotUpdated: complete,
+            counts,
+        };
     }
 
-    // From search queries
-    for (const q of searchQueries || []) {
-        const ids = await discoverChannelsBySearch(q, 50);
-        for (const id of ids) candidateChannelIds.add(id);
+    if (!discoveryDone) {
+        try {
+            // Channels that qualified last time are re-checked first, so a lead that stopped qualifying shows as dropped
+            for (const channelId of Object.keys(previousChannels)) addCandidate(channelId, 0, { type: 'monitor', monitorKey });
+
+            // From seed channels. A seed interrupted by the budget is resolved again on resume.
+            for (; discoveryProgress.seedsDone < (seedChannels || []).length; discoveryProgress.seedsDone++) {
+                const s = seedChannels[discoveryProgress.seedsDone];
+                const ref = normalizeChannelIdOrUrl(s);
+                if (!ref) continue;
+                let resolved;
+                try {
+                    resolved = await resolveChannelReference(ref);
+                } catch (e) {
+                    if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
+                    resolved = { channelId: null, reason: 'api_error' };
+                }
+                if (resolved.channelId) {
+                    addCandidate(resolved.channelId, 0, { type: 'seed', seed: s });
+                } else {
+                    // Reported instead of guessed, so a seed list never silently turns into unrelated channels
+                    log.warning('Could not resolve seed channel', { seed: s, type: ref.type, reason: resolved.reason });
+                    unresolvedSeeds.push({ seed: s, type: ref.type, reason: resolved.reason });
+                }
+            }
+
+            // From search queries. A query interrupted by the budget continues from the page it stopped at on resume.
+            const searchFilters = buildSearchFilters();
+            for (; discoveryProgress.queriesDone < (searchQueries || []).length; discoveryProgress.queriesDone++) {
+                const q = searchQueries[discoveryProgress.queriesDone];
+                const { channelIds: ids, quotaError, pageToken, pages } = await discoverChannelsBySearch(q, maxResultsPerQuery, {
+                    type: searchType,
+                    filters: searchFilters,
+                    resumeFrom: discoveryProgress.search,
+                });
+                for (const id of ids) addCandidate(id, 0, { type: 'search', query: q });
+                if (quotaError) {
+                    discoveryProgress.search = { channelIds: ids, pageToken, pages };
+                    throw quotaError;
+                }
+                discoveryProgress.search = null;
+                logv('Search query done', { query: q, searchType, channels: ids.length });
+            }
+            discoveryDone = true;
+        } catch (err) {
+            if (!isQuotaBudgetError(err)) throw err;
+            // Searches are expensive (100 units); whatever budget is left is still used to evaluate what was found,
+            // and a resumed run finishes the discovery first
+            log.warning('Quota budget reached during discovery; evaluating the candidates found so far', { error: err.message });
+            stopReason = quotaStopReason();
+        }
+        await persistState();
     }
 
     logv('Initial candidate channel count:', candidateChannelIds.size);
 
-    const results = [];
-    const processed = new Set();
-    const channelIdsArray = Array.from(candidateChannelIds).slice(0, Math.max(maxChannels, 0));
+    api.phase = 'evaluation';
 
-    // If we have fewer candidates than maxChannels, we will try to expand later using related channels from channels' topicDetails or related playlists.
-    for (let idx = 0; idx < channelIdsArray.length && results.length < maxChannels; idx++) {
-        const channelId = channelIdsArray[idx];
-        if (processed.has(channelId)) continue;
-        processed.add(channelId);
+    // Channels a qualified channel points at: its channelSections multi-channel shelves (featured channels)
+    // first, then channel links in the channel and sample video descriptions. Returns up to expansionFanOut
+    // [{ channelId, via }] not yet queued, in discovery order. Calls are charged to the discovery phase; when the
+    // budget runs out the channels found so far are returned. Custom /c/ links never fall back to search.
+    async function expandFromChannel(channelId, ch, sampleVideos) {
+        const found = [];
+        const seen = new Set([channelId]);
+        const full = () => found.length >= expansionFanOut;
+        const add = (id, via) => {
+            if (!id || seen.has(id) || full()) return;
+            seen.add(id);
+            if (!candidateChannelIds.has(id)) found.push({ channelId: id, via });
+        };
+        const ownHandle = ((ch.snippet && ch.snippet.customUrl) || '').replace(/^@/, '').toLowerCase();
 
         try {
-            const channelDetailsArr = await getChannelsDetails([channelId]);
-            if (!channelDetailsArr || !channelDetailsArr.length) {
+            try {
+                const resp = await youtubeApiRequest('channelSections', { part: 'snippet,contentDetails', channelId }, { phase: 'discovery' });
+                for (const section of resp.items || []) {
+                    const type = (section.snippet && section.snippet.type) || '';
+                    if (type.toLowerCase() !== 'multiplechannels') continue;
+                    const channels = (section.contentDetails && section.contentDetails.channels) || [];
+                    for (const id of channels) add(id, { type: 'featuredChannels', fromChannelId: channelId, section: section.snippet.title || '' });
+                }
+            } catch (e) {
+                if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
+                log.warning('channelSections lookup failed', { channelId, error: e.message });
+            }
+
+            const texts = [
+                (ch.snippet && ch.snippet.description) || '',
+                ...sampleVideos.map(v => (v.snippet && v.snippet.description) || ''),
+            ];
+            const mentions = new Set();
+            for (const text of texts) {
+                for (const link of channelLinksInText(text)) mentions.add(link);
+            }
+            for (const mention of mentions) {
+                if (full()) break;
+                const ref = normalizeChannelIdOrUrl(mention);
+                if (!ref || ref.type === 'unsupported') continue;
+                if (ref.type !== 'id' && ref.value.toLowerCase() === ownHandle) continue;
+                let resolved;
+                try {
+                    resolved = await resolveChannelReference(ref, { phase: 'discovery', searchFallback: false });
+                } catch (e) {
+                    if (isQuotaBudgetError(e) || isFatalApiError(e)) throw e;
+                    continue;
+                }
+                add(resolved.channelId, { type: 'description', fromChannelId: channelId, mention });
+            }
+        } catch (err) {
+            if (!isQuotaBudgetError(err)) throw err;
+            log.warning('Quota budget reached during expansion; keeping the channels found so far', { channelId, error: err.message });
+        }
+        return found;
+    }
+
+    // Evaluate one candidate from its channels.list item (null when the API returned none). Runs concurrently,
+    // so it only reads shared state; the returned outcome is applied in candidate order by commitOutcome:
+    // { type: 'qualified' | 'nearMiss', channelId, stages, record }, { type: 'rejected', channelId, stages, rejection }
+    // or { type: 'stopped', channelId, error } when the quota budget ran out mid-evaluation.
+    async function evaluateChannel(channelId, ch, cached) {
+        // Funnel stages this channel passed, counted when the outcome is committed
+        const stages = [];
+        const reject = (rejection) => ({ type: 'rejected', channelId, stages, rejection: { channelId, ...rejection } });
+
+        try {
+            if (!ch) {
                 log.warning('No channel details returned', { channelId });
-                continue;
+                return reject({ reason: 'no_channel_details', stage: 'channelDetails' });
             }
-            const ch = channelDetailsArr[0];
             const snippet = ch.snippet || {};
             const statistics = ch.statistics || {};
             const contentDetails = ch.contentDetails || {};
-            const topicDetails = ch.topicDetails || {};
+            const topics = channelTopics(ch.topicDetails);
+            const localizations = Object.keys(ch.localizations || {});
 
             const channelTitle = snippet.title || '';
             const channelDescription = snippet.description || '';
@@ -291,62 +848,104 @@ Apify.main(async () => {
             const subscriberCount = statistics.hiddenSubscriberCount ? null : (statistics.subscriberCount ? parseInt(statistics.subscriberCount, 10) : null);
             const uploadsPlaylistId = contentDetails.relatedPlaylists ? contentDetails.relatedPlaylists.uploads : null;
             const channelUrl = `https://www.youtube.com/channel/${channelId}`;
+            const meta = candidateMeta[channelId] || {};
+            stages.push('channelDetails');
+
+            // Suppression list: checked on the channel details alone, before any playlistItems/videos quota is spent
+            const suppressed = suppressionActive && matchSuppression(suppressionList, {
+                channelId,
+                handle: snippet.customUrl,
+                contacts: extractContacts([{ source: 'channelDescription', text: channelDescription }]),
+            });
+            if (suppressed) {
+                return reject({ channelTitle, reason: suppressed.reason, stage: 'suppression', values: suppressed.values, message: 'Skipping suppressed channel' });
+            }
+            stages.push('suppression');
 
             // Country filter if specified
             if (country && channelCountry) {
                 if (!channelCountry.toLowerCase().includes(country.toLowerCase())) {
-                    logv('Skipping due to country mismatch', { channelTitle, channelCountry });
-                    continue;
+                    return reject({ channelTitle, reason: 'country_mismatch', stage: 'country', values: { country, channelCountry }, message: 'Skipping due to country mismatch' });
                 }
             } else if (country && !channelCountry) {
                 // If user requested a country but channel has no country metadata, skip (safer)
-                logv('Skipping because country requested but not found on channel', { channelTitle });
-                continue;
+                return reject({ channelTitle, reason: 'country_mismatch', stage: 'country', values: { country, channelCountry: null }, message: 'Skipping because country requested but not found on channel' });
+            }
+            stages.push('country');
+
+            // Topic filters; a channel without topic data cannot show it has an included topic
+            const excludedTopics = matchTopics(topics, excludeTopics);
+            if (excludedTopics.length) {
+                return reject({ channelTitle, reason: 'excluded_topic', stage: 'topics', values: { excludedTopics, topics }, message: 'Skipping due to excluded topic' });
             }
+            if (includeTopics.length && !matchTopics(topics, includeTopics).length) {
+                return reject({ channelTitle, reason: topics.length ? 'topic_mismatch' : 'no_topics', stage: 'topics', values: { includeTopics, topics }, message: 'Skipping because no included topic was found on channel' });
+            }
+            stages.push('topics');
 
             // Subscriber filter (if subscriberCount null because hidden, we treat conservatively: skip if minSubscribers > 0)
             if (subscriberCount !== null) {
                 if (subscriberCount < minSubscribers) {
-                    logv('Skipping due to subscriber count below min', { channelTitle, subscriberCount });
-                    continue;
+                    return reject({ channelTitle, reason: 'below_min_subscribers', stage: 'subscribers', values: { subscriberCount, minSubscribers }, message: 'Skipping due to subscriber count below min' });
                 }
             } else {
                 if (minSubscribers > 0) {
-                    logv('Skipping because subscriber count is hidden and minSubscribers > 0', { channelTitle });
-                    continue;
+                    return reject({ channelTitle, reason: 'hidden_subscribers', stage: 'subscribers', values: { minSubscribers }, message: 'Skipping because subscriber count is hidden and minSubscribers > 0' });
                 }
             }
+            stages.push('subscribers');
 
             // If no uploads playlist id, skip
             if (!uploadsPlaylistId) {
-                logv('No uploads playlist; skipping channel', { channelTitle });
-                continue;
+                return reject({ channelTitle, reason: 'no_uploads_playlist', stage: 'uploads', message: 'No uploads playlist; skipping channel' });
             }
+            stages.push('uploads');
 
-            // Get recent video IDs from uploads playlist (we'll fetch sampleSize most recent)
-            const videoIds = await getPlaylistVideoIds(uploadsPlaylistId, sampleSize);
-            if (!videoIds || !videoIds.length) {
-                logv('No recent videos found; skipping', { channelTitle });
-                continue;
-            }
+            let videos;
+            // A cached sample is only reused if it is at least as large as the one requested now, with the same parts
+            if (isCacheFresh(cached.videos) && cached.videos.sampleSize >= sampleSize && cached.videos.parts === VIDEO_PARTS) {
+                cacheStats.hits++;
+                videos = cached.videos.data;
+            } else {
+                cacheStats.misses++;
+                // Get recent video IDs from uploads playlist (we'll fetch sampleSize most recent)
+                const videoIds = await getPlaylistVideoIds(uploadsPlaylistId, sampleSize);
+                if (!videoIds || !videoIds.length) {
+                    return reject({ channelTitle, reason: 'no_videos', stage: 'videos', message: 'No recent videos found; skipping' });
+                }
 
-            // Get video details
-            const videos = await getVideosDetails(videoIds);
-            if (!videos || !videos.length) {
-                logv('No video details; skipping', { channelTitle });
-                continue;
+                // Get video details
+                videos = await getVideosDetails(videoIds);
+                if (!videos || !videos.length) {
+                    return reject({ channelTitle, reason: 'no_videos', stage: 'videos', values: { videoIds: videoIds.length }, message: 'No video details; skipping' });
+                }
+                cached.videos = { fetchedAt: new Date().toISOString(), sampleSize, parts: VIDEO_PARTS, data: videos };
+                await writeChannelCache(channelId, cached);
             }
 
+            stages.push('videos');
+
             // Sort videos by publishedAt descending
             videos.sort((a, b) => new Date(b.snippet.publishedAt) - new Date(a.snippet.publishedAt));
             const sampleVideos = videos.slice(0, sampleSize);
 
-            // Compute average views (use viewCount; if missing treat as 0)
-            const viewCounts = sampleVideos.map(v => {
-                const vc = v.statistics && v.statistics.viewCount ? parseInt(v.statistics.viewCount, 10) : 0;
-                return isNaN(vc) ? 0 : vc;
-            });
-            const avgViews = viewCounts.length ? Math.round(viewCounts.reduce((a, b) => a + b, 0) / viewCounts.length) : 0;
+            // Language filter: metadata first, then a guess from the titles and descriptions already fetched
+            const { language, source: languageSource, confidence: languageConfidence } = detectChannelLanguage(ch, sampleVideos);
+            if (allowedLanguages.length && !allowedLanguages.includes(language)) {
+                const reason = language ? 'language_mismatch' : 'language_unknown';
+                return reject({ channelTitle, reason, stage: 'language', values: { languages: allowedLanguages, language, languageSource }, message: 'Skipping due to channel language' });
+            }
+            stages.push('language');
+
+            // Shorts are classified first so that view statistics cover long-form videos only; Shorts get their own
+            const { shorts, longForm, classification: shortsClassification } = splitShorts(sampleVideos, { maxDurationSeconds: shortsMaxDurationSeconds });
+            const shortCount = shorts.length;
+            const shortsRatio = sampleVideos.length ? (shortCount / sampleVideos.length) : 0;
+
+            // View statistics (missing viewCount counts as 0); avgViews stays the plain mean
+            const viewStats = computeViewStats(longForm, subscriberCount, avgViewsMetric);
+            const { avgViews, selectedViews } = viewStats;
+            const shortsStats = shortCount ? computeViewStats(shorts, subscriberCount, avgViewsMetric) : null;
 
             // Recent video within timeframe check
             let hasRecentWithin = true;
@@ -355,117 +954,331 @@ Apify.main(async () => {
                 hasRecentWithin = sampleVideos.some(v => new Date(v.snippet.publishedAt) >= thresholdDate);
             }
 
+            // Soft criteria are collected instead of ending the evaluation, so near misses can be kept and scored.
+            // Each entry: { criterion, reason, message, values }; reason is the rejection code
+            const softFailures = [];
+
             if (!hasRecentWithin) {
-                logv('Skipping due to no recent video within timeframe', { channelTitle });
-                continue;
+                const lastPublishedAt = sampleVideos.length ? sampleVideos[0].snippet.publishedAt : null;
+                softFailures.push({ criterion: 'recentVideo', reason: 'no_recent_video', message: 'Skipping due to no recent video within timeframe', values: { recentVideoWithinDays, lastPublishedAt } });
+            } else {
+                stages.push('recentVideo');
             }
 
-            // Shorts detection: consider a video short if duration < 60s or url suggests /shorts/
-            const shortFlags = sampleVideos.map(v => {
-                const dur = v.contentDetails && v.contentDetails.duration ? isoDurationToSeconds(v.contentDetails.duration) : 0;
-                const title = v.snippet && v.snippet.title ? v.snippet.title.toLowerCase() : '';
-                // Basic heuristics: duration < 60s or "short" in title or content is in shorts format
-                return (dur > 0 && dur < 60) || title.includes('short') || false;
-            });
-            const shortCount = shortFlags.filter(Boolean).length;
-            const shortsRatio = sampleVideos.length ? (shortCount / sampleVideos.length) : 0;
-
-            if (!allowShorts && shortsRatio > 0) {
-                logv('Skipping due to shorts present in recent videos', { channelTitle, shortsRatio });
-                continue;
+            if (shortsRatio > shortsRatioLimit) {
+                softFailures.push({ criterion: 'shorts', reason: 'shorts_present', message: 'Skipping due to too many Shorts in recent videos', values: { shortsRatio, shortCount, maxShortsRatio: shortsRatioLimit } });
+            } else {
+                stages.push('shorts');
             }
 
             // Keyword include/exclude checks across channel title/description and sample video titles/descriptions
-            const combinedTextParts = [
-                channelTitle,
-                channelDescription,
-                ...sampleVideos.map(v => (v.snippet && (v.snippet.title + ' ' + (v.snippet.description || ''))) || '')
-            ];
-            const combinedText = combinedTextParts.join(' ').toLowerCase();
+            const keywordFields = {
+                channelTitle: [channelTitle],
+                channelDescription: [channelDescription],
+                videoTitles: sampleVideos.map(v => (v.snippet && v.snippet.title) || ''),
+                videoDescriptions: sampleVideos.map(v => (v.snippet && v.snippet.description) || ''),
+            };
 
             // Exclude on negative keywords
-            let excluded = false;
-            if (excludeKeywords && excludeKeywords.length) {
-                for (const kw of excludeKeywords) {
-                    if (!kw) continue;
-                    if (combinedText.includes(kw.toLowerCase())) {
-                        excluded = true;
-                        break;
-                    }
-                }
-                if (excluded) {
-                    logv('Excluded by negative keyword', { channelTitle });
-                    continue;
-                }
+            const excludeMatches = matchKeywordList(compiledExcludeKeywords, keywordFields);
+            if (excludeMatches.length) {
+                const [first] = excludeMatches;
+                return reject({ channelTitle, reason: `excluded_keyword:${first.expression}`, stage: 'excludeKeywords', values: { keyword: first.expression, matches: excludeMatches }, message: 'Excluded by negative keyword' });
             }
+            stages.push('excludeKeywords');
 
             // Include on positive keywords if provided; if none provided, allow all that pass other filters
-            let includedByKeyword = true;
-            if (includeKeywords && includeKeywords.length) {
-                includedByKeyword = false;
-                for (const kw of includeKeywords) {
-                    if (!kw) continue;
-                    if (combinedText.includes(kw.toLowerCase())) {
-                        includedByKeyword = true;
-                        break;
-                    }
-                }
-                if (!includedByKeyword) {
-                    logv('Skipping because includeKeywords supplied but none matched', { channelTitle });
-                    continue;
-                }
+            const includeMatches = matchKeywordList(compiledIncludeKeywords, keywordFields);
+            const includeHits = includeMatches.map(m => m.expression);
+            const requiredMatches = Math.min(Math.max(includeMinMatches, 1), compiledIncludeKeywords.length);
+            if (compiledIncludeKeywords.length && includeHits.length < requiredMatches) {
+                softFailures.push({ criterion: 'includeKeywords', reason: 'include_missing', message: 'Skipping because includeKeywords supplied but too few matched', values: { includeHits, includeMinMatches: requiredMatches } });
+            } else {
+                stages.push('includeKeywords');
+            }
+
+            // avgViews filter, applied to the statistic chosen by avgViewsMetric
+            const avgViewsFailures = softFailures.length;
+            if (selectedViews < avgViewsMin) {
+                softFailures.push({ criterion: 'avgViewsMin', reason: 'avg_views_low', message: 'Skipping due to avgViews below min', values: { avgViews: selectedViews, avgViewsMetric, avgViewsMin } });
             }
+            if (avgViewsMax !== null && typeof avgViewsMax === 'number' && selectedViews > avgViewsMax) {
+                softFailures.push({ criterion: 'avgViewsMax', reason: 'avg_views_high', message: 'Skipping due to avgViews above max', values: { avgViews: selectedViews, avgViewsMetric, avgViewsMax } });
+            }
+            if (softFailures.length === avgViewsFailures) stages.push('avgViews');
+
+            // Optional metric bounds
+            const metricFailures = checkMetricBounds(viewStats, metricBounds);
+            softFailures.push(...metricFailures);
+            if (!metricFailures.length) stages.push('metrics');
 
-            // avgViews filter
-            if (avgViews < avgViewsMin) {
-                logv('Skipping due to avgViews below min', { channelTitle, avgViews, avgViewsMin });
-                continue;
+            const contacts = extractContacts([
+                { source: 'channelDescription', text: channelDescription },
+                ...sampleVideos.map(v => ({ source: `video:${v.id}`, text: v.snippet && v.snippet.description })),
+            ]);
+            // Video descriptions can reveal a suppressed domain the channel description did not mention
+            const suppressedByVideos = suppressionActive && matchSuppression(suppressionList, { channelId, handle: snippet.customUrl, contacts });
+            if (suppressedByVideos) {
+                return reject({ channelTitle, reason: suppressedByVideos.reason, stage: 'suppression', values: suppressedByVideos.values, message: 'Skipping suppressed channel' });
+            }
+            const hasBookingLink = contacts.bookingLinks.length > 0;
+            if (requireContact && !hasAnyContact(contacts)) {
+                softFailures.push({ criterion: 'contact', reason: 'no_contact', message: 'Skipping because requireContact is set but no contact method was found', values: {} });
+            } else {
+                stages.push('contact');
             }
-            if (avgViewsMax !== null && typeof avgViewsMax === 'number' && avgViews > avgViewsMax) {
-                logv('Skipping due to avgViews above max', { channelTitle, avgViews, avgViewsMax });
-                continue;
+
+            if (softFailures.length && !keepNearMisses) {
+                const [first, ...others] = softFailures;
+                return reject({
+                    channelTitle,
+                    reason: first.reason,
+                    stage: first.criterion,
+                    values: first.values,
+                    message: first.message,
+                    otherReasons: others.map(f => ({ reason: f.reason, values: f.values })),
+                });
             }
 
-            // Passed filters — assemble output record
+            const { leadScore, scoreBreakdown } = scoreChannel({ subscriberCount, avgViews: selectedViews, sampleVideos, includeHits, shortsRatio }, scoringConfig, { keywordsScored: !!(includeKeywords && includeKeywords.length) });
+
+            // Passed hard filters — assemble output record
             const record = {
                 channelId,
                 channelName: channelTitle,
                 channelUrl,
                 subscriberCount: subscriberCount,
                 avgViews,
+                medianViews: viewStats.medianViews,
+                trimmedMeanViews: viewStats.trimmedMeanViews,
+                avgViewsMetric,
+                viewsPerSubscriber: viewStats.viewsPerSubscriber,
+                likeRate: viewStats.likeRate,
+                commentRate: viewStats.commentRate,
+                uploadCadenceDays: viewStats.uploadCadenceDays,
+                viewsCv: viewStats.viewsCv,
                 sampleSize: sampleVideos.length,
+                longFormCount: longForm.length,
+                shortsCount: shortCount,
                 shortsRatio,
+                // The same statistics over the Shorts in the sample (null when there are none)
+                shortsMetrics: shortsStats && {
+                    avgViews: shortsStats.avgViews,
+                    medianViews: shortsStats.medianViews,
+                    viewsPerSubscriber: shortsStats.viewsPerSubscriber,
+                    likeRate: shortsStats.likeRate,
+                    commentRate: shortsStats.commentRate,
+                },
                 recentVideoWithinDays,
                 includeKeywords,
                 excludeKeywords,
                 country: channelCountry || '',
+                topics,
+                language,
+                languageSource,
+                languageConfidence,
+                localizations,
+                leadScore,
+                scoreBreakdown,
+                qualified: softFailures.length === 0,
+                failedCriteria: softFailures.map(f => f.criterion),
+                keywordMatches: includeMatches,
+                hasBookingLink,
+                contacts,
                 description: channelDescription,
+                discoveredVia: meta.discoveredVia || null,
+                discoveryDepth: meta.depth || 0,
                 lastScrapedAt: new Date().toISOString(),
-                sampleVideos: sampleVideos.map(v => ({
-                    videoId: v.id,
-                    title: v.snippet && v.snippet.title,
-                    publishedAt: v.snippet && v.snippet.publishedAt,
-                    viewCount: v.statistics && v.statistics.viewCount ? parseInt(v.statistics.viewCount, 10) : 0,
-                    durationSeconds: v.contentDetails && v.contentDetails.duration ? isoDurationToSeconds(v.contentDetails.duration) : 0,
-                    url: `https://www.youtube.com/watch?v=${v.id}`,
-                })),
+                sampleVideos: sampleVideos.map(v => {
+                    const { isShort, durationSeconds, signals } = shortsClassification.get(v.id);
+                    return {
+                        videoId: v.id,
+                        title: v.snippet && v.snippet.title,
+                        publishedAt: v.snippet && v.snippet.publishedAt,
+                        viewCount: v.statistics && v.statistics.viewCount ? parseInt(v.statistics.viewCount, 10) : 0,
+                        likeCount: toInt(v.statistics && v.statistics.likeCount),
+                        commentCount: toInt(v.statistics && v.statistics.commentCount),
+                        durationSeconds,
+                        isShort,
+                        shortSignals: signals,
+                        url: `https://www.youtube.com/watch?v=${v.id}`,
+                    };
+                }),
             };
 
+            if (softFailures.length) return { type: 'nearMiss', channelId, stages, record };
+
+            stages.push('qualified');
+            // Snowball discovery: qualified channels tend to feature and link to similar channels
+            const expansions = expandDiscovery && record.discoveryDepth < expansionDepth
+                ? await expandFromChannel(channelId, ch, sampleVideos)
+                : [];
+            return { type: 'qualified', channelId, stages, record, expansions };
+        } catch (err) {
+            if (isQuotaBudgetError(err)) return { type: 'stopped', channelId, error: err.message };
+            if (isFatalApiError(err)) throw err;
+            log.warning('Error processing channel', { channelId, error: err.message });
+            return reject({ reason: 'api_error', stage: 'error', values: { error: err.message } });
+        }
+    }
+
+    // Fetch channels.list details for a chunk of candidates: fresh cache entries are reused, the rest are
+    // requested 50 IDs per call. Returns Map channelId -> { details, cached }.
+    async function prefetchChannelDetails(channelIds) {
+        const prefetched = new Map();
+        const stale = [];
+        for (const channelId of channelIds) {
+            const cached = await readChannelCache(channelId);
+            // Entries cached with other parts (e.g. before topics were requested) are fetched again
+            if (isCacheFresh(cached.channel) && cached.channel.parts === CHANNEL_PARTS) {
+                cacheStats.hits++;
+                prefetched.set(channelId, { details: cached.channel.data, cached });
+            } else {
+                cacheStats.misses++;
+                prefetched.set(channelId, { details: null, cached });
+                stale.push(channelId);
+            }
+        }
+        for (let i = 0; i < stale.length; i += 50) {
+            const items = await getChannelsDetails(stale.slice(i, i + 50));
+            const fetchedAt = new Date().toISOString();
+            for (const ch of items) {
+                const entry = prefetched.get(ch.id);
+                if (!entry) continue;
+                entry.details = ch;
+                entry.cached.channel = { fetchedAt, parts: CHANNEL_PARTS, data: ch };
+                await writeChannelCache(ch.id, entry.cached);
+            }
+        }
+        return prefetched;
+    }
+
+    // Apply an outcome: funnel counts, dataset/webhook/rejection output and the processed set.
+    async function commitOutcome(outcome) {
+        for (const stage of outcome.stages) funnel.stages[stage]++;
+        const wasMonitored = !!previousChannels[outcome.channelId];
+        if (outcome.type === 'rejected') {
+            await rejectChannel(outcome.rejection);
+            if (wasMonitored) monitorDrops[outcome.channelId] = { reason: outcome.rejection.reason };
+        } else if (outcome.type === 'nearMiss') {
+            const { record } = outcome;
+            if (wasMonitored) monitorDrops[outcome.channelId] = { reason: 'near_miss', failedCriteria: record.failedCriteria };
+            funnel.nearMisses++;
+            nearMisses.push(record);
+            logv('Kept near miss', { channelTitle: record.channelName, channelId: record.channelId, leadScore: record.leadScore, failedCriteria: record.failedCriteria });
+        } else {
+            const { record } = outcome;
+            if (monitorStore) markMonitorStatus(record);
             results.push(record);
             await Apify.pushData(record);
-            logv('Saved channel', { channelTitle, channelId, avgViews, subscriberCount });
+            await queueWebhookLead(record);
+            logv('Saved channel', { channelTitle: record.channelName, channelId: record.channelId, avgViews: record.avgViews, subscriberCount: record.subscriberCount, leadScore: record.leadScore });
+            // Expanded channels join the end of the queue; earlier commits win when two channels point at the same one
+            let queued = 0;
+            for (const { channelId, via } of outcome.expansions || []) {
+                if (addCandidate(channelId, record.discoveryDepth + 1, via)) queued++;
+            }
+            if (queued) logv('Queued expanded candidates', { channelId: record.channelId, queued });
+        }
+        processed.add(outcome.channelId);
+        await persistState();
+    }
+
+    // Evaluate a list of candidates with a pool of `concurrency` workers. Outcomes are committed strictly in
+    // list order. Returns false when the quota budget stopped evaluation; channels after that point (and any
+    // beyond maxChannels) are left unprocessed so a resumed run picks them up.
+    async function evaluateInOrder(channelIds, prefetched) {
+        const outcomes = new Array(channelIds.length);
+        let nextToStart = 0;
+        let nextToCommit = 0;
+        let stopStarting = false;
+        let committing = true;
+        let budgetStopped = false;
+
+        async function commitReady() {
+            while (committing && nextToCommit < channelIds.length && outcomes[nextToCommit]) {
+                const outcome = outcomes[nextToCommit];
+                if (outcome.type === 'stopped') {
+                    log.warning('Quota budget reached; stopping channel evaluation', { channelId: outcome.channelId, error: outcome.error });
+                    budgetStopped = true;
+                    committing = false;
+                    break;
+                }
+                nextToCommit++;
+                await commitOutcome(outcome);
+                if (newlyQualified() >= maxChannels) committing = false;
+            }
+            if (!committing) stopStarting = true;
+        }
+
+        // Commits are chained so workers never interleave them
+        let commitQueue = Promise.resolve();
+        async function worker() {
+            while (!stopStarting && nextToStart < channelIds.length) {
+                const index = nextToStart++;
+                const { details, cached } = prefetched.get(channelIds[index]);
+                const outcome = await evaluateChannel(channelIds[index], details, cached);
+                if (outcome.type === 'stopped') stopStarting = true;
+                outcomes[index] = outcome;
+                commitQueue = commitQueue.then(commitReady);
+                await commitQueue;
+            }
+        }
+
+        const workerCount = Math.max(1, Math.floor(concurrency) || 1);
+        await Promise.all(Array.from({ length: Math.min(workerCount, channelIds.length) }, worker));
+        await commitQueue;
+        return !budgetStopped;
+    }
 
-            // Optionally, expand discovery: use topicDetails or related playlists to find more channels
-            // topicDetails.topicCategories may point to related areas; not used here for simplicity
+    // Without expansion only the first maxChannels candidates are evaluated. With expandDiscovery the queue keeps
+    // growing as qualified channels are committed, so it is re-read before every chunk and evaluation goes on
+    // until maxChannels channels qualified or the queue runs dry. Monitor snapshot channels come on top of the limit.
+    const candidateLimit = expandDiscovery ? Infinity : Math.max(maxChannels, 0) + monitoredCount;
+    const candidateQueue = () => Array.from(candidateChannelIds).slice(0, candidateLimit);
 
+    // Work through the candidates in chunks of 50, one channels.list call per chunk
+    let queuePosition = 0;
+    while (newlyQualified() < maxChannels) {
+        const queue = candidateQueue();
+        funnel.candidates = queue.length;
+        const chunk = [];
+        while (queuePosition < queue.length && chunk.length < 50) {
+            const id = queue[queuePosition++];
+            if (!processed.has(id)) chunk.push(id);
+        }
+        if (!chunk.length) break;
+        let completed = false;
+        try {
+            const prefetched = await prefetchChannelDetails(chunk);
+            completed = await evaluateInOrder(chunk, prefetched);
         } catch (err) {
-            log.warning('Error processing channel', { channelId, error: err.message });
+            if (!isQuotaBudgetError(err)) throw err;
+            log.warning('Quota budget reached; stopping channel evaluation', { error: err.message });
+        }
+        if (!completed) {
+            stopReason = quotaStopReason();
+            break;
         }
+    }
+    funnel.candidates = candidateQueue().length;
+    await persistState();
 
-        // Be polite with API usage
-        await sleep(sleepMs);
+    // Candidates queued by expansion, in total and per discoveredVia type and depth
+    function expansionStats() {
+        const stats = { discovered: 0, byType: {}, byDepth: {} };
+        for (const { depth, discoveredVia } of Object.values(candidateMeta)) {
+            if (!depth) continue;
+            stats.discovered++;
+            stats.byType[discoveredVia.type] = (stats.byType[discoveredVia.type] || 0) + 1;
+            stats.byDepth[depth] = (stats.byDepth[depth] || 0) + 1;
+        }
+        return stats;
     }
 
+    // Deliver the last partial webhook batch before the summary is built
+    await flushWebhookLeads();
+
     // Save summary OUTPUT
     const output = {
         info: {
@@ -475,20 +1288,74 @@ Apify.main(async () => {
                 minSubscribers,
                 avgViewsMin,
                 avgViewsMax,
+                avgViewsMetric,
+                metricBounds,
                 recentVideoWithinDays,
                 sampleSize,
                 allowShorts,
+                maxShortsRatio: shortsRatioLimit,
+                shortsMaxDurationSeconds,
                 includeKeywords,
                 excludeKeywords,
+                includeMinMatches,
+                keywordMatchMode,
                 country,
+                includeTopics,
+                excludeTopics,
+                languages: allowedLanguages,
+                requireContact,
             },
+            scoring: scoringConfig,
+            nearMisses: nearMisses.length,
             maxChannels,
             seedChannels: seedChannels.length,
+            unresolvedSeeds,
             searchQueries: searchQueries.length,
+            expansion: expandDiscovery ? {
+                depth: expansionDepth,
+                fanOut: expansionFanOut,
+                ...expansionStats(),
+            } : null,
+            stoppedEarly: stopReason !== null,
+            stopReason,
+            quota: {
+                budget: quota.budget,
+                spent: quota.spent,
+                remaining: quota.budget !== null ? quota.budget - quota.spent : null,
+                byEndpoint: quota.byEndpoint,
+                byPhase: quota.byPhase,
+            },
+            // Usage per API key, by label only
+            apiKeys: apiKeyPool.map(({ key, ...usage }) => usage),
+            cache: cacheStore ? { storeName: cacheStoreName, ttlHours: cacheTtlHours, ...cacheStats } : null,
+            resumed: !!savedState,
+            exports: {},
+            webhook: webhookUrl ? webhook.stats : null,
+            funnel,
+            rejectionDataset: rejectionDatasetName || null,
+            suppression: suppressionActive || suppressionList.unresolved.length ? {
+                entries: suppressionCounts(suppressionList),
+                unresolved: suppressionList.unresolved,
+                unrecognized: suppressionList.unrecognized,
+                suppressed: Object.values(funnel.suppressed).reduce((a, b) => a + b, 0),
+                byReason: funnel.suppressed,
+            } : null,
+            monitor: null,
         },
-        results,
+        results: rankByScore(results),
+        nearMisses: rankByScore(nearMisses),
     };
 
-    await Apify.setValue('OUTPUT', output, { contentType: 'application/json' });
+    output.info.exports = await writeExports(output.results);
+    if (monitorStore) output.info.monitor = await writeMonitorResults();
+    await Apify.setValue('OUTPUT', output);
+
+    if (webhookUrl) {
+        await webhook.deliver({ event: 'run.completed', runId: actorRunId, sentAt: new Date().toISOString(), info: output.info });
+        log.info('Webhook deliveries finished', webhook.stats);
+    }
+
+    // A run that got through every candidate leaves nothing to resume
+    if (stopReason === null) await stateStore.setValue(STATE_KEY, null);
     log.info('Finished run', { collected: results.length });
 });
\ No newline at end of file
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeChannelIdOrUrl, simplifyName, CHANNEL_LINK_REGEX, channelLinksInText } = require('../lib/channelRefs');
+
+const ID = 'UCabcdefghijklmnopqrstuv';
+
+test('normalizeChannelIdOrUrl parses ids, handles and channel URLs', () => {
+    assert.deepEqual(normalizeChannelIdOrUrl(ID), { type: 'id', value: ID });
+    assert.deepEqual(normalizeChannelIdOrUrl('@coach'), { type: 'handle', value: 'coach' });
+    assert.deepEqual(normalizeChannelIdOrUrl(`https://www.youtube.com/channel/${ID}`), { type: 'id', value: ID });
+    assert.deepEqual(normalizeChannelIdOrUrl('youtube.com/@coach/videos'), { type: 'handle', value: 'coach' });
+    assert.deepEqual(normalizeChannelIdOrUrl('https://m.youtube.com/user/oldname'), { type: 'username', value: 'oldname' });
+    assert.deepEqual(normalizeChannelIdOrUrl('https://youtube.com/c/CustomName'), { type: 'custom', value: 'CustomName' });
+    assert.deepEqual(normalizeChannelIdOrUrl('https://youtube.com/legacyname'), { type: 'custom', value: 'legacyname' });
+});
+
+test('normalizeChannelIdOrUrl rejects references that cannot point at a channel', () => {
+    assert.equal(normalizeChannelIdOrUrl(''), null);
+    assert.equal(normalizeChannelIdOrUrl(null), null);
+    assert.equal(normalizeChannelIdOrUrl('https://youtube.com/watch?v=abc').type, 'unsupported');
+    assert.equal(normalizeChannelIdOrUrl('https://example.com/@coach').type, 'unsupported');
+    assert.equal(normalizeChannelIdOrUrl('two words').type, 'unsupported');
+    assert.deepEqual(normalizeChannelIdOrUrl('https://www.youtube.com/@caf%E9'), { type: 'unsupported', value: 'https://www.youtube.com/@caf%E9' });
+});
+
+test('simplifyName keeps lowercase letters and digits only', () => {
+    assert.equal(simplifyName('The Life-Coach Show 2!'), 'thelifecoachshow2');
+    assert.equal(simplifyName('Café Coaching'), 'cafécoaching');
+});
+
+test('CHANNEL_LINK_REGEX finds channel links in free text', () => {
+    const text = `Friends: https://www.youtube.com/@other.coach and youtube.com/channel/${ID}; video https://youtube.com/watch?v=x`;
+    assert.deepEqual(text.match(CHANNEL_LINK_REGEX), ['https://www.youtube.com/@other.coach', `youtube.com/channel/${ID}`]);
+});
+
+test('channelLinksInText drops the punctuation ending a sentence', () => {
+    const text = `Say hi to youtube.com/@coach2. Older videos: https://www.youtube.com/c/coach3. Also youtube.com/user/coach-4- and youtube.com/channel/${ID.slice(0, -1)}-.`;
+    assert.deepEqual(channelLinksInText(text), [
+        'youtube.com/@coach2', 'https://www.youtube.com/c/coach3', 'youtube.com/user/coach-4', `youtube.com/channel/${ID.slice(0, -1)}-`,
+    ]);
+    assert.deepEqual(normalizeChannelIdOrUrl(channelLinksInText('see youtube.com/@coach2.')[0]), { type: 'handle', value: 'coach2' });
+    assert.deepEqual(channelLinksInText('no links here'), []);
+});
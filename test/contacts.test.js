@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyContactUrl, extractContacts, hasAnyContact } = require('../lib/contacts');
+
+test('classifyContactUrl recognises booking links, link-in-bio pages, socials and websites', () => {
+    assert.deepEqual(classifyContactUrl('https://calendly.com/sam/intro?utm=1'), { kind: 'bookingLinks', value: 'https://calendly.com/sam/intro', provider: 'Calendly' });
+    assert.equal(classifyContactUrl('linktr.ee/sam').kind, 'linkInBio');
+    assert.deepEqual(classifyContactUrl('https://twitter.com/SamCoach'), { kind: 'socials', value: 'https://x.com/samcoach', platform: 'x', handle: 'samcoach' });
+    assert.equal(classifyContactUrl('https://www.instagram.com/p/abc123'), null);
+    assert.deepEqual(classifyContactUrl('https://www.samcoaching.com/about'), { kind: 'websites', value: 'https://samcoaching.com', domain: 'samcoaching.com' });
+    assert.equal(classifyContactUrl('https://youtu.be/abc'), null);
+});
+
+test('extractContacts normalises, deduplicates and keeps sources', () => {
+    const contacts = extractContacts([
+        { source: 'channelDescription', text: 'Email: Sam [at] SamCoaching [dot] com. Site: https://samcoaching.com/ Book: calendly.com/sam' },
+        { source: 'video:v1', text: 'Contact sam@samcoaching.com, logo@2x.png, https://instagram.com/samcoach' },
+    ]);
+    assert.deepEqual(contacts.emails, [{ value: 'sam@samcoaching.com', domain: 'samcoaching.com', sources: ['channelDescription', 'video:v1'] }]);
+    assert.deepEqual(contacts.websites.map(w => w.value), ['https://samcoaching.com']);
+    assert.deepEqual(contacts.bookingLinks.map(b => b.value), ['https://calendly.com/sam']);
+    assert.deepEqual(contacts.socials.map(s => s.platform), ['instagram']);
+    assert.equal(hasAnyContact(contacts), true);
+    assert.equal(hasAnyContact(extractContacts([{ source: 'channelDescription', text: 'No links here' }])), false);
+});
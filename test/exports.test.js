@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flattenRecord, compileFieldMapping, csvField, toCsv, buildExport } = require('../lib/exports');
+
+const record = {
+    channelId: 'UC1',
+    channelName: 'Coach, "Sam"',
+    description: 'Line one\nLine two',
+    subscriberCount: 1200,
+    leadScore: 71.5,
+    topics: ['Lifestyle', 'Health'],
+    contacts: { emails: [{ value: 'sam@example.com', domain: 'example.com' }], websites: [] },
+    language: null,
+};
+
+test('csvField quotes commas, quotes, line breaks and edge whitespace', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField('one\r\ntwo'), '"one\r\ntwo"');
+    assert.equal(csvField(' padded'), '" padded"');
+    assert.equal(csvField(null), '');
+    assert.equal(csvField({ a: 1 }), '"{""a"":1}"');
+});
+
+test('csvField neutralises cells a spreadsheet would run as formulas', () => {
+    assert.equal(csvField('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+    assert.equal(csvField('+1 555 0100'), "'+1 555 0100");
+    assert.equal(csvField('-2+3'), "'-2+3");
+    assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvField(-5), '-5');
+});
+
+test('flattenRecord joins plain lists and indexes lists of objects', () => {
+    assert.deepEqual(flattenRecord(record), {
+        'channelId': 'UC1',
+        'channelName': 'Coach, "Sam"',
+        'description': 'Line one\nLine two',
+        'subscriberCount': 1200,
+        'leadScore': 71.5,
+        'topics': 'Lifestyle; Health',
+        'contacts.emails.0.value': 'sam@example.com',
+        'contacts.emails.0.domain': 'example.com',
+        'contacts.websites': '',
+        'language': null,
+    });
+});
+
+test('compileFieldMapping supports presets, objects and path lists', () => {
+    assert.deepEqual(compileFieldMapping({ Name: 'channelName', Email: 'contacts.emails.0.value', Missing: 'a.b' })(record),
+        { Name: 'Coach, "Sam"', Email: 'sam@example.com', Missing: null });
+    assert.deepEqual(compileFieldMapping(['channelId', 'leadScore'])(record), { channelId: 'UC1', leadScore: 71.5 });
+    const hubspot = compileFieldMapping('hubspot-contact')(record);
+    assert.equal(hubspot.Email, 'sam@example.com');
+    assert.equal(hubspot['Company Name'], 'Coach, "Sam"');
+});
+
+test('toCsv uses the union of row keys as header', () => {
+    assert.equal(toCsv([{ a: 1 }, { b: 'x,y', a: 2 }]), 'a,b\r\n1,\r\n2,"x,y"\r\n');
+    assert.equal(toCsv([]), '\r\n');
+});
+
+test('buildExport writes csv, jsonl and CRM presets', () => {
+    const csv = buildExport('csv', [record], ['channelName', 'description']);
+    assert.equal(csv, 'channelName,description\r\n"Coach, ""Sam""","Line one\nLine two"\r\n');
+    const jsonl = buildExport('jsonl', [record, record], ['channelId']);
+    assert.equal(jsonl, '{"channelId":"UC1"}\n{"channelId":"UC1"}\n');
+    assert.equal(buildExport('jsonl', []), '');
+    const pipedrive = buildExport('pipedrive-lead', [record]).split('\r\n');
+    assert.ok(pipedrive[0].startsWith('Lead title,Organization name'));
+    assert.ok(pipedrive[1].startsWith('"Coach, ""Sam"" (YouTube)"'));
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { metricBoundsFromInput, checkMetricBounds } = require('../lib/filters');
+
+test('metricBoundsFromInput keeps metrics with a numeric bound', () => {
+    assert.deepEqual(metricBoundsFromInput({ likeRateMin: 0.01, viewsCvMax: 2, medianViewsMin: '500', avgViewsMin: 100 }), [
+        { metric: 'likeRate', min: 0.01, max: null },
+        { metric: 'viewsCv', min: null, max: 2 },
+    ]);
+});
+
+test('checkMetricBounds reports values outside bounds and unknown values', () => {
+    const bounds = metricBoundsFromInput({ likeRateMin: 0.01, commentRateMin: 0.001, viewsCvMax: 1 });
+    const failures = checkMetricBounds({ likeRate: 0.02, commentRate: null, viewsCv: 1.5 }, bounds);
+    assert.deepEqual(failures.map(f => f.reason), ['comment_rate_low', 'views_cv_high']);
+    assert.deepEqual(failures[1].values, { viewsCv: 1.5, viewsCvMax: 1 });
+    assert.deepEqual(checkMetricBounds({ likeRate: 0.05, commentRate: 0.01, viewsCv: 0.2 }, bounds), []);
+});
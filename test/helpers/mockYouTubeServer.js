@@ -0,0 +1,174 @@
+// Local stand-in for the YouTube Data API v3 endpoints the actor uses (search, channels, playlistItems, videos,
+// channelSections), serving a fixed set of channels. Failures can be queued per endpoint to exercise error paths.
+
+const http = require('http');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Channel n with six recent long-form videos and a booking link; override any field through `overrides`
+function makeChannel(n, overrides = {}) {
+    const id = `UC${String(n).padStart(22, '0')}`;
+    const videos = Array.from({ length: 6 }, (_, k) => ({
+        id: `v${n}x${k}`,
+        title: `Coaching session ${k}`,
+        description: `Episode ${k} of the life coach podcast`,
+        publishedAt: new Date(Date.now() - (k * 4 + 1) * DAY_MS).toISOString(),
+        viewCount: 1000 * n + 100 * k,
+        likeCount: 50 * n,
+        commentCount: 5 * n,
+        duration: 'PT12M30S',
+        vertical: false,
+        tags: [],
+        defaultAudioLanguage: undefined,
+    }));
+    return {
+        id,
+        title: `Coach ${n}`,
+        description: `Life coach helping people. Book a call: https://calendly.com/coach${n}`,
+        customUrl: `@coach${n}`,
+        // Legacy username (forUsername / youtube.com/user/<name>); channels created after 2014 have none
+        username: null,
+        country: 'US',
+        subscriberCount: 10000 * n,
+        hiddenSubscriberCount: false,
+        topicCategories: ['https://en.wikipedia.org/wiki/Lifestyle_(sociology)'],
+        defaultLanguage: undefined,
+        videos,
+        // Delay before the uploads playlist is served, to make concurrent evaluations finish out of order
+        responseDelayMs: 0,
+        ...overrides,
+    };
+}
+
+function channelResource(ch) {
+    return {
+        kind: 'youtube#channel',
+        id: ch.id,
+        snippet: { title: ch.title, description: ch.description, customUrl: ch.customUrl, country: ch.country, defaultLanguage: ch.defaultLanguage },
+        statistics: ch.hiddenSubscriberCount
+            ? { hiddenSubscriberCount: true, viewCount: '0', videoCount: String(ch.videos.length) }
+            : { hiddenSubscriberCount: false, subscriberCount: String(ch.subscriberCount), videoCount: String(ch.videos.length) },
+        contentDetails: { relatedPlaylists: { uploads: `UU${ch.id.slice(2)}` } },
+        topicDetails: { topicCategories: ch.topicCategories },
+        brandingSettings: { channel: { title: ch.title, country: ch.country } },
+    };
+}
+
+// Like the API, player embed dimensions are only included when the request sets maxWidth
+function videoResource(ch, v, { maxWidth } = {}) {
+    const width = Number(maxWidth);
+    return {
+        kind: 'youtube#video',
+        id: v.id,
+        snippet: { channelId: ch.id, title: v.title, description: v.description, publishedAt: v.publishedAt, tags: v.tags, defaultAudioLanguage: v.defaultAudioLanguage },
+        statistics: { viewCount: String(v.viewCount), likeCount: String(v.likeCount), commentCount: String(v.commentCount) },
+        contentDetails: { duration: v.duration },
+        player: width
+            ? { embedHtml: '<iframe></iframe>', embedWidth: String(width), embedHeight: String(Math.round(v.vertical ? width * 16 / 9 : width * 9 / 16)) }
+            : { embedHtml: '<iframe></iframe>' },
+    };
+}
+
+// YouTube-style error body, e.g. apiError(403, 'quotaExceeded')
+function apiError(code, reason, message = reason) {
+    return JSON.stringify({ error: { code, message, errors: [{ message, domain: 'youtube', reason }] } });
+}
+
+// Start the server on a free port. Returns { url, requests, failNext, close }:
+// - url: base URL to pass as apiBaseUrl
+// - requests: [{ endpoint, query, apiKey }] in arrival order
+// - failNext(endpoint, { status, body }, times = 1): answer the next `times` requests to endpoint with this response
+async function startMockYouTubeServer({ channels = [], searchResults = channels.map(ch => ch.id) } = {}) {
+    const byId = new Map(channels.map(ch => [ch.id, ch]));
+    const byUploads = new Map(channels.map(ch => [`UU${ch.id.slice(2)}`, ch]));
+    const videos = new Map(channels.flatMap(ch => ch.videos.map(v => [v.id, { ch, v }])));
+    const requests = [];
+    const failures = [];
+
+    const handlers = {
+        search(q) {
+            const start = Number(q.pageToken || 0);
+            const size = Number(q.maxResults || 5);
+            const page = searchResults.slice(start, start + size);
+            // type=video answers with one video per entry, uploaded by that channel
+            const item = (id, i) => (q.type === 'video'
+                ? { id: { kind: 'youtube#video', videoId: `${id}-v${start + i}` }, snippet: { channelId: id } }
+                : { id: { kind: 'youtube#channel', channelId: id }, snippet: { channelId: id } });
+            return {
+                items: page.map(item),
+                ...(start + size < searchResults.length ? { nextPageToken: String(start + size) } : {}),
+            };
+        },
+        channels(q) {
+            if (q.forHandle) {
+                const name = String(q.forHandle).replace(/^@/, '').toLowerCase();
+                const ch = channels.find(c => c.customUrl.slice(1).toLowerCase() === name);
+                return { items: ch ? [{ id: ch.id }] : [] };
+            }
+            if (q.forUsername) {
+                const name = String(q.forUsername).toLowerCase();
+                const ch = channels.find(c => c.username && c.username.toLowerCase() === name);
+                return { items: ch ? [{ id: ch.id }] : [] };
+            }
+            return { items: String(q.id || '').split(',').filter(id => byId.has(id)).map(id => channelResource(byId.get(id))) };
+        },
+        playlistItems(q) {
+            const ch = byUploads.get(q.playlistId);
+            if (!ch) return null;
+            const items = ch.videos.slice(0, Number(q.maxResults || 5)).map(v => ({ contentDetails: { videoId: v.id } }));
+            return { items };
+        },
+        videos(q) {
+            const items = String(q.id || '').split(',').filter(id => videos.has(id)).map(id => videoResource(videos.get(id).ch, videos.get(id).v, q));
+            return { items };
+        },
+        channelSections() {
+            return { items: [] };
+        },
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const endpoint = url.pathname.split('/').filter(Boolean).pop();
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ endpoint, query, apiKey: req.headers['x-goog-api-key'] || null });
+
+        const failureIndex = failures.findIndex(f => f.endpoint === endpoint);
+        if (failureIndex !== -1) {
+            const failure = failures[failureIndex];
+            if (--failure.times <= 0) failures.splice(failureIndex, 1);
+            res.writeHead(failure.status, { 'Content-Type': 'application/json' });
+            res.end(failure.body);
+            return;
+        }
+        const handler = handlers[endpoint];
+        const body = handler ? handler(query) : null;
+        if (!body) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(apiError(404, 'notFound'));
+            return;
+        }
+        const delayed = endpoint === 'playlistItems' ? byUploads.get(query.playlistId) : null;
+        setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        }, delayed ? delayed.responseDelayMs : 0);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}/youtube/v3`,
+        requests,
+        failNext(endpoint, { status, body }, times = 1) {
+            failures.push({ endpoint, status, body, times });
+        },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = {
+    makeChannel,
+    apiError,
+    startMockYouTubeServer,
+};
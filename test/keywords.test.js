@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileKeywordExpression, evaluateKeywordExpression, compileKeywordList, matchKeywordList } = require('../lib/keywords');
+
+const fields = {
+    channelTitle: ['Mindset Coaching with Sam'],
+    channelDescription: ['I help founders build 7-figure businesses. Business coach since 2015.'],
+    videoTitles: ['How to stop procrastinating', 'Morning routine'],
+    videoDescriptions: [''],
+};
+const matches = (expression, options) => evaluateKeywordExpression(compileKeywordExpression(expression, options), fields).matched;
+
+test('plain entries are matched as whole-word phrases', () => {
+    assert.equal(matches('business coach'), true);
+    assert.equal(matches('7-figure'), true);
+    assert.equal(matches('coach'), true);
+    assert.equal(matches('coaching with'), true);
+    assert.equal(matches('routin'), false);
+    assert.equal(matches('routin', { matchMode: 'substring' }), true);
+});
+
+test('boolean operators, prefixes, regexes and field scopes', () => {
+    assert.equal(matches('mindset AND (founder* OR startup)'), true);
+    assert.equal(matches('mindset NOT procrastinating'), false);
+    assert.equal(matches('title:coaching'), true);
+    assert.equal(matches('videoTitles:coaching'), false);
+    assert.equal(matches('/since \\d{4}/'), true);
+    assert.equal(matches('"morning routine" OR fitness'), true);
+    assert.equal(matches('title:(coaching OR mentor)'), true);
+    assert.equal(matches('title:(coach* AND routine)'), false);
+    assert.equal(matches('title:(mindset videoTitle:routine)'), true);
+    assert.deepEqual(evaluateKeywordExpression(compileKeywordExpression('videoTitle:(fitness OR morning)'), fields).terms, [{ term: 'videoTitles:morning', fields: ['videoTitles'] }]);
+});
+
+test('syntax errors are reported with the expression', () => {
+    assert.throws(() => compileKeywordExpression('(coach OR mentor'), /Invalid keyword expression "\(coach OR mentor": missing \)/);
+    assert.throws(() => compileKeywordExpression('coach AND'), /unexpected end/);
+    assert.throws(() => compileKeywordExpression('(title:) coach'), /Invalid keyword expression "\(title:\) coach": missing term after title:/);
+});
+
+test('matchKeywordList reports matching expressions with their terms and fields', () => {
+    const compiled = compileKeywordList(['mindset AND founder*', 'fitness', '']);
+    assert.deepEqual(matchKeywordList(compiled, fields), [{
+        expression: 'mindset AND founder*',
+        terms: [
+            { term: 'mindset', fields: ['channelTitle'] },
+            { term: 'founder*', fields: ['channelDescription'] },
+        ],
+    }]);
+});
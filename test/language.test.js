@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeLanguageCode, guessLanguage, detectChannelLanguage } = require('../lib/language');
+
+test('normalizeLanguageCode keeps the primary subtag', () => {
+    assert.equal(normalizeLanguageCode('en-US'), 'en');
+    assert.equal(normalizeLanguageCode('zh-Hans'), 'zh');
+    assert.equal(normalizeLanguageCode('ES'), 'es');
+    assert.equal(normalizeLanguageCode('zxx'), null);
+    assert.equal(normalizeLanguageCode(undefined), null);
+});
+
+test('guessLanguage recognises scripts and Latin-script languages', () => {
+    assert.equal(guessLanguage('How to stop overthinking and build the life you want').language, 'en');
+    assert.equal(guessLanguage('Cómo dejar de procrastinar y lograr tus metas para la vida').language, 'es');
+    assert.equal(guessLanguage('Zindagi badalne ke liye 5 tips | kaise apne goals achieve kare').language, 'hi');
+    assert.equal(guessLanguage('जीवन में सफलता कैसे पाएं - life coach').language, 'hi');
+    assert.equal(guessLanguage(['人生を変える', '習慣']).language, 'ja');
+    assert.equal(guessLanguage(['Coach de vida: cómo superar el miedo', 'Los 5 hábitos de las personas exitosas', 'Qué hacer cuando no tienes motivación']).language, 'es');
+    assert.equal(guessLanguage(['Coach de vida: como superar o medo', 'Os 5 hábitos das pessoas de sucesso', 'Como ter mais confiança em você']).language, 'pt');
+    assert.equal(guessLanguage(['Coach de vie : comment vaincre la peur', 'Les 5 habitudes des gens qui réussissent']).language, 'fr');
+    assert.equal(guessLanguage(['Hoe je de angst voor falen overwint', 'Het geheim van een gelukkig leven']).language, 'nl');
+    assert.equal(guessLanguage('Life coach'), null);
+    assert.equal(guessLanguage([]), null);
+});
+
+test('detectChannelLanguage prefers audio language, then channel, video metadata and text', () => {
+    const videos = (field, codes) => codes.map(code => ({ snippet: { title: 'Session', [field]: code } }));
+    assert.deepEqual(detectChannelLanguage({ snippet: { defaultLanguage: 'en' } }, videos('defaultAudioLanguage', ['es-419', 'es', 'en'])), { language: 'es', confidence: 0.67, source: 'videoAudio' });
+    assert.deepEqual(detectChannelLanguage({ brandingSettings: { channel: { defaultLanguage: 'pt-BR' } } }, videos('defaultLanguage', ['en'])), { language: 'pt', source: 'channel', confidence: 1 });
+    assert.deepEqual(detectChannelLanguage({ snippet: {} }, videos('defaultLanguage', ['de', 'de'])), { language: 'de', confidence: 1, source: 'videoMetadata' });
+    assert.equal(detectChannelLanguage({ snippet: { description: 'I help you find the confidence to be who you are' } }, []).source, 'text');
+    assert.deepEqual(detectChannelLanguage({ snippet: { title: 'Coach' } }, []), { language: null, source: null, confidence: null });
+});
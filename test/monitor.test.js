@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    monitorSnapshotKey, contactValues, monitorSnapshotEntry, diffMonitoredChannel, monitorStatus, collectMonitorChanges,
+    nextSnapshotChannels,
+} = require('../lib/monitor');
+
+const record = (channelId, overrides = {}) => ({
+    channelId,
+    channelName: `Coach ${channelId}`,
+    channelUrl: `https://www.youtube.com/channel/${channelId}`,
+    subscriberCount: 20000,
+    avgViews: 3000,
+    country: 'US',
+    contacts: { emails: [{ value: 'b@x.com' }, { value: 'a@x.com' }], websites: [] },
+    leadScore: 70,
+    lastScrapedAt: '2024-06-01T00:00:00.000Z',
+    ...overrides,
+});
+
+test('monitorSnapshotKey keeps characters allowed in record keys', () => {
+    assert.equal(monitorSnapshotKey('coaches/us weekly'), 'snapshot-coaches-us-weekly');
+    assert.equal(monitorSnapshotKey('x'.repeat(300)).length, 'snapshot-'.length + 200);
+});
+
+test('monitorSnapshotEntry sorts contacts and keeps firstSeenAt', () => {
+    assert.deepEqual(contactValues(record('UC1').contacts), { emails: ['a@x.com', 'b@x.com'], websites: [] });
+    assert.equal(monitorSnapshotEntry(record('UC1')).firstSeenAt, '2024-06-01T00:00:00.000Z');
+    assert.equal(monitorSnapshotEntry(record('UC1'), { firstSeenAt: '2024-01-01T00:00:00.000Z' }).firstSeenAt, '2024-01-01T00:00:00.000Z');
+});
+
+test('diffMonitoredChannel ignores count changes below the threshold', () => {
+    const previous = monitorSnapshotEntry(record('UC1'));
+    const diff = (overrides, threshold) => diffMonitoredChannel(previous, monitorSnapshotEntry(record('UC1', overrides)), threshold);
+    assert.deepEqual(diff({ subscriberCount: 21000 }, 0.1), []);
+    assert.deepEqual(diff({ subscriberCount: 21000 }, 0), [{ field: 'subscriberCount', old: 20000, new: 21000 }]);
+    assert.deepEqual(diff({ avgViews: null }, 0.1), [{ field: 'avgViews', old: 3000, new: null }]);
+    assert.deepEqual(diff({ country: '' }, 0.1), [{ field: 'country', old: 'US', new: '' }]);
+    const [contacts] = diff({ contacts: { emails: [{ value: 'a@x.com' }], websites: [{ value: 'https://x.com/' }] } }, 0.1);
+    assert.deepEqual([contacts.field, contacts.added, contacts.removed], ['contacts', ['websites:https://x.com/'], ['emails:b@x.com']]);
+});
+
+test('monitorStatus marks new, changed and unchanged records', () => {
+    const previous = monitorSnapshotEntry(record('UC1'));
+    assert.deepEqual(monitorStatus(record('UC1'), undefined), { monitorStatus: 'new', changes: [] });
+    assert.deepEqual(monitorStatus(record('UC1'), previous, 0.1), { monitorStatus: 'unchanged', changes: [] });
+    assert.equal(monitorStatus(record('UC1', { subscriberCount: 40000 }), previous, 0.1).monitorStatus, 'changed');
+});
+
+test('collectMonitorChanges and nextSnapshotChannels build the delta and the next snapshot', () => {
+    const previousChannels = { UC1: monitorSnapshotEntry(record('UC1')), UC2: monitorSnapshotEntry(record('UC2')), UC3: monitorSnapshotEntry(record('UC3')) };
+    const results = [
+        { ...record('UC1'), monitorStatus: 'unchanged', changes: [] },
+        { ...record('UC4'), monitorStatus: 'new', changes: [] },
+    ];
+    const { counts, changes } = collectMonitorChanges(results, { UC2: { reason: 'below_min_subscribers' } }, previousChannels);
+    assert.deepEqual(counts, { new: 1, changed: 0, unchanged: 1, dropped: 1 });
+    assert.deepEqual(changes.map(c => [c.status, c.channelId]), [['new', 'UC4'], ['dropped', 'UC2']]);
+    assert.equal(changes[1].reason, 'below_min_subscribers');
+    assert.equal(changes[1].channelName, 'Coach UC2');
+
+    // UC3 was not evaluated (e.g. after a quota stop) and keeps its old entry; UC2 dropped out
+    const channels = nextSnapshotChannels(previousChannels, new Set(['UC1', 'UC2', 'UC4']), results);
+    assert.deepEqual(Object.keys(channels).sort(), ['UC1', 'UC3', 'UC4']);
+    assert.equal(channels.UC3, previousChannels.UC3);
+});
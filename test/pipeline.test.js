@@ -0,0 +1,429 @@
+// End-to-end runs of the actor against the mock YouTube server, with local Apify storage in a temporary directory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { startMockYouTubeServer, makeChannel, apiError } = require('./helpers/mockYouTubeServer');
+
+const ROOT = path.join(__dirname, '..');
+// The actor entry point (main.js when deployed)
+const MAIN = ['main.js', 'main_Version2.js'].map(f => path.join(ROOT, f)).find(f => fs.existsSync(f));
+
+const channels = [
+    makeChannel(1),
+    makeChannel(2),
+    makeChannel(3, { hiddenSubscriberCount: true }),
+    makeChannel(4, { subscriberCount: 50 }),
+];
+
+const baseInput = {
+    searchQueries: ['life coach'],
+    maxResultsPerQuery: 10,
+    excludeKeywords: [],
+    cacheTtlHours: 0,
+    rejectionDatasetName: '',
+    maxRequestsPerSecond: 100,
+    verbose: false,
+};
+
+// Run the actor with input in a fresh storage directory, or in storageDir to continue from an earlier run.
+// A continued run starts with empty default storages, like a new run on the platform; named stores are kept.
+// Resolves to { output, changes, items, storageDir, readRecord }, readRecord(key) reading any default store record.
+function runActor(t, input, { storageDir, env = {} } = {}) {
+    if (!storageDir) {
+        storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-actor-'));
+        t.after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+    }
+    const inputDir = path.join(storageDir, 'key_value_stores', 'default');
+    fs.rmSync(inputDir, { recursive: true, force: true });
+    fs.rmSync(path.join(storageDir, 'datasets', 'default'), { recursive: true, force: true });
+    fs.mkdirSync(inputDir, { recursive: true });
+    fs.writeFileSync(path.join(inputDir, 'INPUT.json'), JSON.stringify(input));
+
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [MAIN], {
+            cwd: storageDir,
+            env: { ...process.env, APIFY_LOCAL_STORAGE_DIR: storageDir, APIFY_TOKEN: '', APIFY_HEADLESS: '1', ...env },
+            timeout: 60000,
+        }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(`Actor failed: ${err.message}\n${stdout}\n${stderr}`));
+            const readRecord = (key) => {
+                const file = path.join(inputDir, `${key}.json`);
+                return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+            };
+            const datasetDir = path.join(storageDir, 'datasets', 'default');
+            const items = fs.existsSync(datasetDir)
+                ? fs.readdirSync(datasetDir).sort().map(f => JSON.parse(fs.readFileSync(path.join(datasetDir, f), 'utf8')))
+                : [];
+            resolve({ output: readRecord('OUTPUT'), changes: readRecord('CHANGES'), items, storageDir, readRecord });
+        });
+    });
+}
+
+test('search run qualifies channels and rejects hidden or small subscriber counts', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    const { output, items } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url });
+
+    assert.deepEqual(output.results.map(r => r.channelId).sort(), [channels[0].id, channels[1].id]);
+    assert.deepEqual(items.map(r => r.channelId).sort(), [channels[0].id, channels[1].id]);
+    const record = output.results.find(r => r.channelId === channels[1].id);
+    assert.equal(record.subscriberCount, 20000);
+    assert.deepEqual(record.contacts.bookingLinks.map(b => b.value), ['https://calendly.com/coach2']);
+    assert.equal(output.info.funnel.rejections.hidden_subscribers, 1);
+    assert.equal(output.info.funnel.rejections.below_min_subscribers, 1);
+    assert.equal(output.info.stopReason, null);
+    assert.equal(output.info.quota.byEndpoint.search, 100);
+    assert.ok(server.requests.every(r => r.apiKey === 'test-key'));
+});
+
+test('search pages follow nextPageToken until maxResultsPerQuery channels are found', async (t) => {
+    const [first, second, third, fourth] = channels;
+    // The first page repeats a channel, so a second page is needed for the fourth one
+    const server = await startMockYouTubeServer({ channels, searchResults: [first.id, second.id, first.id, third.id, fourth.id] });
+    t.after(() => server.close());
+    await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, maxResultsPerQuery: 4 });
+
+    const searches = server.requests.filter(r => r.endpoint === 'search').map(r => r.query);
+    assert.deepEqual(searches.map(q => [q.type, q.maxResults, q.pageToken || null]), [['channel', '4', null], ['channel', '1', '4']]);
+    const requested = server.requests.filter(r => r.endpoint === 'channels').flatMap(r => r.query.id.split(','));
+    assert.ok(requested.includes(fourth.id));
+});
+
+test('video search rolls videos up to their channels and passes the search filters through', async (t) => {
+    const [first, second, third, fourth] = channels;
+    // Two channels fill the first page of 50 videos; the next page adds the third channel
+    const searchResults = [...Array(25).fill([first.id, second.id]).flat(), fourth.id, third.id];
+    const server = await startMockYouTubeServer({ channels, searchResults });
+    t.after(() => server.close());
+    const { output } = await runActor(t, {
+        ...baseInput,
+        apiKey: 'test-key',
+        apiBaseUrl: server.url,
+        searchType: 'video',
+        maxResultsPerQuery: 3,
+        regionCode: 'us',
+        searchOrder: 'date',
+        publishedAfter: '2024-01-01',
+    });
+
+    const searches = server.requests.filter(r => r.endpoint === 'search').map(r => r.query);
+    assert.deepEqual(searches.map(q => [q.maxResults, q.pageToken || null]), [['50', null], ['50', '50']]);
+    for (const query of searches) {
+        assert.equal(query.q, 'life coach');
+        assert.equal(query.type, 'video');
+        assert.equal(query.regionCode, 'US');
+        assert.equal(query.order, 'date');
+        assert.equal(query.publishedAfter, '2024-01-01T00:00:00.000Z');
+    }
+    // The third channel is past maxResultsPerQuery and never evaluated
+    assert.deepEqual(output.results.map(r => r.channelId).sort(), [first.id, second.id]);
+    assert.equal(output.info.funnel.rejections.below_min_subscribers, 1);
+    assert.equal(output.info.funnel.rejections.hidden_subscribers, undefined);
+});
+
+test('@handle and /user/ seeds are resolved, other seeds are reported in unresolvedSeeds', async (t) => {
+    const seedChannels = [makeChannel(1), makeChannel(2, { username: 'OldCoachTwo' })];
+    const server = await startMockYouTubeServer({ channels: seedChannels });
+    t.after(() => server.close());
+    const { output } = await runActor(t, {
+        ...baseInput,
+        apiKey: 'test-key',
+        apiBaseUrl: server.url,
+        searchQueries: [],
+        seedChannels: ['@coach1', 'https://www.youtube.com/user/OldCoachTwo', '@nobody', 'youtube.com/user/GoneCoach', 'life coach tips'],
+    });
+
+    assert.deepEqual(output.results.map(r => r.channelId).sort(), seedChannels.map(ch => ch.id));
+    assert.deepEqual(output.info.unresolvedSeeds, [
+        { seed: '@nobody', type: 'handle', reason: 'handle_not_found' },
+        { seed: 'youtube.com/user/GoneCoach', type: 'username', reason: 'username_not_found' },
+        { seed: 'life coach tips', type: 'unsupported', reason: 'not_a_channel_reference' },
+    ]);
+    const lookups = server.requests.filter(r => r.endpoint === 'channels' && !r.query.id)
+        .map(r => (r.query.forHandle ? `handle:${r.query.forHandle}` : `username:${r.query.forUsername}`));
+    assert.deepEqual(lookups, ['handle:coach1', 'username:OldCoachTwo', 'handle:nobody', 'username:GoneCoach', 'handle:GoneCoach']);
+    assert.equal(server.requests.filter(r => r.endpoint === 'search').length, 0);
+});
+
+test('rejections are written to the named dataset with the run ID and the query that found the channel', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    const input = { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, rejectionDatasetName: 'lead-rejections' };
+    const { storageDir } = await runActor(t, input, { env: { APIFY_ACTOR_RUN_ID: 'run-1' } });
+    await runActor(t, input, { storageDir, env: { APIFY_ACTOR_RUN_ID: 'run-2' } });
+
+    const datasetDir = path.join(storageDir, 'datasets', 'lead-rejections');
+    const items = fs.readdirSync(datasetDir).sort().map(f => JSON.parse(fs.readFileSync(path.join(datasetDir, f), 'utf8')));
+    assert.deepEqual(items.map(i => [i.runId, i.channelId, i.reason]), [
+        ['run-1', channels[2].id, 'hidden_subscribers'],
+        ['run-1', channels[3].id, 'below_min_subscribers'],
+        ['run-2', channels[2].id, 'hidden_subscribers'],
+        ['run-2', channels[3].id, 'below_min_subscribers'],
+    ]);
+    assert.deepEqual(items[0].discoveredVia, { type: 'search', query: 'life coach' });
+    assert.deepEqual(items[1].values, { subscriberCount: 50, minSubscribers: 1000 });
+});
+
+test('topic and language filters use topicDetails and language metadata', async (t) => {
+    const spanish = makeChannel(5);
+    spanish.videos.forEach(v => { v.defaultAudioLanguage = 'es'; });
+    const musician = makeChannel(6, { topicCategories: ['https://en.wikipedia.org/wiki/Music', 'https://en.wikipedia.org/wiki/Lifestyle_(sociology)'] });
+    const server = await startMockYouTubeServer({ channels: [channels[0], spanish, musician] });
+    t.after(() => server.close());
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, languages: ['en-US'], excludeTopics: ['/m/04rlf'] });
+
+    assert.deepEqual(output.results.map(r => r.channelId), [channels[0].id]);
+    const [record] = output.results;
+    assert.deepEqual(record.topics, ['Lifestyle']);
+    assert.equal(record.language, 'en');
+    assert.equal(record.languageSource, 'text');
+    assert.equal(output.info.funnel.rejections.language_mismatch, 1);
+    assert.equal(output.info.funnel.rejections.excluded_topic, 1);
+    assert.deepEqual(output.info.filters.languages, ['en']);
+    assert.ok(server.requests.filter(r => r.endpoint === 'channels').every(r => r.query.part.includes('topicDetails')));
+});
+
+test('Shorts are classified per video, limited by maxShortsRatio and left out of avgViews', async (t) => {
+    const someShorts = makeChannel(7);
+    someShorts.videos[0].title = 'Short sale coaching, live with a client';
+    for (const v of someShorts.videos.slice(1, 3)) Object.assign(v, { duration: 'PT2M10S', vertical: true, viewCount: 50000 });
+    const mostlyShorts = makeChannel(8);
+    for (const v of mostlyShorts.videos.slice(0, 4)) Object.assign(v, { title: 'Daily tip #shorts', duration: 'PT40S', vertical: true });
+    const server = await startMockYouTubeServer({ channels: [someShorts, mostlyShorts] });
+    t.after(() => server.close());
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, maxShortsRatio: 0.5 });
+
+    assert.deepEqual(output.results.map(r => r.channelId), [someShorts.id]);
+    const [record] = output.results;
+    assert.equal(record.shortsCount, 2);
+    assert.equal(record.longFormCount, 4);
+    assert.deepEqual(record.sampleVideos.filter(v => v.isShort).map(v => v.shortSignals), [['duration', 'vertical'], ['duration', 'vertical']]);
+    // Long-form views are 7000, 7300, 7400 and 7500
+    assert.equal(record.avgViews, 7300);
+    assert.equal(record.shortsMetrics.avgViews, 50000);
+    assert.equal(output.info.funnel.rejections.shorts_present, 1);
+    assert.ok(server.requests.filter(r => r.endpoint === 'videos').every(r => r.query.part.includes('player') && r.query.maxWidth));
+});
+
+test('concurrent evaluations that finish out of order are committed in candidate order', async (t) => {
+    const ordered = [makeChannel(1, { responseDelayMs: 600 }), makeChannel(2, { responseDelayMs: 300 }), makeChannel(5)];
+    const server = await startMockYouTubeServer({ channels: ordered });
+    t.after(() => server.close());
+    const { output, items } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, concurrency: 3 });
+
+    // The videos of the last channel are fetched first, so its evaluation finished first
+    const videoOrder = server.requests.filter(r => r.endpoint === 'videos')
+        .map(r => ordered.findIndex(ch => ch.videos.some(v => r.query.id.includes(v.id))));
+    assert.deepEqual(videoOrder, [2, 1, 0]);
+    assert.deepEqual(items.map(r => r.channelId), ordered.map(ch => ch.id));
+    assert.equal(output.results.length, 3);
+});
+
+test('suppressed email addresses match exactly, domain entries match the whole domain', async (t) => {
+    const jane = makeChannel(1, { description: 'Life coach. Contact jane@gmail.com' });
+    const other = makeChannel(2, { description: 'Life coach. Contact other@gmail.com' });
+    const acme = makeChannel(5, { description: 'Life coach. Contact sam@acme.com' });
+    const server = await startMockYouTubeServer({ channels: [jane, other, acme] });
+    t.after(() => server.close());
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, suppression: ['Jane@Gmail.com', 'email:acme.com'] });
+
+    assert.deepEqual(output.results.map(r => r.channelId), [other.id]);
+    assert.deepEqual(output.info.suppression.byReason, { suppressed_email: 1, suppressed_email_domain: 1 });
+    assert.equal(output.info.suppression.entries.emails, 1);
+    assert.equal(output.info.suppression.entries.emailDomains, 1);
+});
+
+test('/user/ and /c/ suppression entries are resolved to channel IDs when the list is loaded', async (t) => {
+    const legacy = makeChannel(1, { username: 'OldCoachName' });
+    const custom = makeChannel(2);
+    const kept = makeChannel(5);
+    const server = await startMockYouTubeServer({ channels: [legacy, custom, kept] });
+    t.after(() => server.close());
+    const suppression = ['https://www.youtube.com/user/OldCoachName', 'youtube.com/c/coach2', 'https://www.youtube.com/user/nobody'];
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, suppression });
+
+    assert.deepEqual(output.results.map(r => r.channelId), [kept.id]);
+    assert.deepEqual(output.info.suppression.byReason, { suppressed_channel_id: 2 });
+    assert.equal(output.info.suppression.entries.channelIds, 2);
+    assert.deepEqual(output.info.suppression.unresolved, [{ entry: 'username:nobody', reason: 'username_not_found' }]);
+    assert.ok(output.info.quota.byPhase.suppression > 0);
+});
+
+test('monitor mode compares a second run with the snapshot of the first', async (t) => {
+    const first = await startMockYouTubeServer({ channels: channels.slice(0, 2) });
+    t.after(() => first.close());
+    // The snapshot fills maxChannels; re-checking it must still leave room for new channels
+    const input = { ...baseInput, apiKey: 'test-key', monitorKey: 'coaches', maxChannels: 2 };
+    const run1 = await runActor(t, { ...input, apiBaseUrl: first.url });
+    assert.deepEqual(run1.output.info.monitor.counts, { new: 2, changed: 0, unchanged: 0, dropped: 0 });
+    assert.equal(run1.changes.complete, true);
+
+    // Coach 2 doubled its subscribers and Coach 5 is new in search
+    const grown = { ...channels[1], subscriberCount: 40000 };
+    const second = await startMockYouTubeServer({ channels: [channels[0], grown, makeChannel(5)] });
+    t.after(() => second.close());
+    const run2 = await runActor(t, { ...input, apiBaseUrl: second.url }, { storageDir: run1.storageDir });
+    assert.deepEqual(run2.output.info.monitor.counts, { new: 1, changed: 1, unchanged: 1, dropped: 0 });
+    const changed = run2.changes.changes.find(c => c.status === 'changed');
+    assert.equal(changed.channelId, channels[1].id);
+    assert.deepEqual(changed.changes, [{ field: 'subscriberCount', old: 20000, new: 40000 }]);
+    assert.equal(run2.changes.changes.find(c => c.status === 'new').channelId, makeChannel(5).id);
+});
+
+test('webhook deliveries are batched, signed, retried after a 5xx and dead-lettered when retries run out', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    // Plain local receiver: the first leads.qualified attempt gets a 503, run.completed always fails
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const event = req.headers['x-webhook-event'];
+            received.push({ headers: req.headers, body });
+            const failing = event === 'run.completed' || received.filter(r => r.headers['x-webhook-event'] === event).length === 1;
+            res.writeHead(failing ? (event === 'run.completed' ? 500 : 503) : 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    t.after(() => receiver.close());
+
+    const { output, readRecord } = await runActor(t, {
+        ...baseInput,
+        apiKey: 'test-key',
+        apiBaseUrl: server.url,
+        webhookUrl: `http://127.0.0.1:${receiver.address().port}/hooks/leads`,
+        webhookSecret: 's3cret',
+        webhookBatchSize: 2,
+        webhookMaxRetries: 1,
+    });
+
+    assert.deepEqual(received.map(r => r.headers['x-webhook-event']), ['leads.qualified', 'leads.qualified', 'run.completed', 'run.completed']);
+    for (const { headers, body } of received) {
+        const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    }
+    // The retry is the same delivery with both leads in one batch
+    assert.equal(received[0].headers['x-webhook-id'], received[1].headers['x-webhook-id']);
+    assert.deepEqual(JSON.parse(received[1].body).leads.map(l => l.channelId).sort(), [channels[0].id, channels[1].id]);
+    // OUTPUT is written before run.completed is sent, so its counts only cover the lead batches
+    assert.deepEqual(output.info.webhook, { delivered: 1, failed: 0 });
+
+    const deadLetters = readRecord('WEBHOOK_DEAD_LETTER');
+    assert.equal(deadLetters.length, 1);
+    assert.deepEqual([deadLetters[0].event, deadLetters[0].attempts, deadLetters[0].lastStatus], ['run.completed', 2, 500]);
+    assert.equal(deadLetters[0].payload.info.collected, 2);
+});
+
+test('a 429 and a malformed JSON response are retried without losing channels', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    server.failNext('channels', { status: 429, body: apiError(429, 'rateLimitExceeded') });
+    server.failNext('playlistItems', { status: 200, body: '{"items": [' });
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url });
+
+    assert.deepEqual(output.results.map(r => r.channelId).sort(), [channels[0].id, channels[1].id]);
+    assert.equal(output.info.stopReason, null);
+    assert.deepEqual(output.info.apiKeys[0].errors, { rateLimitExceeded: 1 });
+    // Every attempt is charged: 2 channels.list calls and one playlistItems.list retry on top of 2 channels
+    assert.equal(output.info.quota.byEndpoint.channels, 2);
+    assert.equal(output.info.quota.byEndpoint.playlistItems, 3);
+});
+
+test('the run switches keys on quotaExceeded and stops cleanly when every key is out', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    server.failNext('playlistItems', { status: 403, body: apiError(403, 'quotaExceeded') });
+    const { output } = await runActor(t, { ...baseInput, apiKeys: ['key-a', 'key-b'], apiBaseUrl: server.url });
+    assert.equal(output.results.length, 2);
+    assert.deepEqual(output.info.apiKeys.map(k => k.status), ['quotaExceeded', 'active']);
+
+    server.failNext('channels', { status: 403, body: apiError(403, 'quotaExceeded') }, 2);
+    const { output: stopped } = await runActor(t, { ...baseInput, apiKeys: ['key-a', 'key-b'], apiBaseUrl: server.url });
+    assert.equal(stopped.info.stopReason, 'api_quota_exhausted');
+    assert.equal(stopped.results.length, 0);
+});
+
+test('channels from search pages before the budget ran out are still evaluated', async (t) => {
+    const [first, second] = channels;
+    // The first page has only two distinct channels, so the search asks for a second page it cannot afford
+    const server = await startMockYouTubeServer({ channels, searchResults: [first.id, second.id, ...Array(8).fill(first.id), channels[2].id] });
+    t.after(() => server.close());
+    const { output } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, quotaBudget: 150 });
+
+    assert.equal(output.info.stopReason, 'quota_budget');
+    assert.deepEqual(output.results.map(r => r.channelId), [first.id, second.id]);
+    assert.equal(server.requests.filter(r => r.endpoint === 'search').length, 1);
+});
+
+test('a later run finishes a discovery the budget cut short, from the page it stopped at', async (t) => {
+    const [first, second, third] = channels;
+    const server = await startMockYouTubeServer({ channels, searchResults: [first.id, second.id, ...Array(8).fill(first.id), third.id] });
+    t.after(() => server.close());
+    const input = { ...baseInput, searchQueries: ['q1', 'q2'], apiKey: 'test-key', apiBaseUrl: server.url, stateStoreName: 'state' };
+    const searches = (from) => server.requests.slice(from).filter(r => r.endpoint === 'search').map(r => [r.query.q, r.query.pageToken || null]);
+    const stateFile = (storageDir) => path.join(storageDir, 'key_value_stores', 'state', 'STATE.json');
+
+    const { output: stopped, storageDir } = await runActor(t, { ...input, quotaBudget: 150 });
+    assert.equal(stopped.info.stopReason, 'quota_budget');
+    assert.deepEqual(searches(0), [['q1', null]]);
+    assert.ok(fs.existsSync(stateFile(storageDir)));
+
+    // A larger budget does not change which channels are found, so the state is resumed
+    const before = server.requests.length;
+    const { output } = await runActor(t, { ...input, quotaBudget: 1000 }, { storageDir });
+    assert.equal(output.info.resumed, true);
+    assert.equal(output.info.stopReason, null);
+    assert.deepEqual(searches(before), [['q1', '10'], ['q2', null], ['q2', '10']]);
+    assert.deepEqual(output.results.map(r => r.channelId).sort(), [first.id, second.id]);
+    assert.equal(output.info.funnel.rejections.hidden_subscribers, 1);
+    assert.equal(fs.existsSync(stateFile(storageDir)), false);
+});
+
+test('saved state is discarded when the input changed', async (t) => {
+    const [first, second, third] = channels;
+    const server = await startMockYouTubeServer({ channels, searchResults: [first.id, second.id, ...Array(8).fill(first.id), third.id] });
+    t.after(() => server.close());
+    const input = { ...baseInput, searchQueries: ['q1'], apiKey: 'test-key', apiBaseUrl: server.url, stateStoreName: 'state' };
+
+    const { output: stopped, storageDir } = await runActor(t, { ...input, quotaBudget: 150 });
+    assert.equal(stopped.info.stopReason, 'quota_budget');
+
+    const before = server.requests.length;
+    const { output } = await runActor(t, { ...input, searchQueries: ['q3'] }, { storageDir });
+    assert.equal(output.info.resumed, false);
+    assert.equal(output.info.stopReason, null);
+    assert.deepEqual(server.requests.slice(before).filter(r => r.endpoint === 'search').map(r => r.query.q), ['q3', 'q3']);
+});
+
+test('an invalid publishedAfter fails the run before any API call', async (t) => {
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    await assert.rejects(
+        runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, seedChannels: ['@coach1'], publishedAfter: 'last week' }),
+        /Invalid publishedAfter date: last week/,
+    );
+    assert.equal(server.requests.length, 0);
+});
+
+test('a recorded run replays offline with the same results', async (t) => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-fixtures-'));
+    t.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+    const server = await startMockYouTubeServer({ channels });
+    t.after(() => server.close());
+    const { output: recorded } = await runActor(t, { ...baseInput, apiKey: 'test-key', apiBaseUrl: server.url, transportMode: 'record', fixturesDir });
+    // Replay must not need the server
+    await server.close();
+    assert.ok(fs.readdirSync(fixturesDir).length > 0);
+
+    const { output: replayed } = await runActor(t, { ...baseInput, transportMode: 'replay', fixturesDir });
+    assert.deepEqual(replayed.results.map(r => r.channelId), recorded.results.map(r => r.channelId));
+    assert.deepEqual(replayed.info.funnel, recorded.info.funnel);
+});
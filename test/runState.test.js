@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stableStringify, inputFingerprint } = require('../lib/runState');
+
+test('stableStringify sorts object keys at every level', () => {
+    assert.equal(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+    assert.equal(stableStringify({ a: undefined, b: 'x' }), '{"b":"x"}');
+});
+
+test('inputFingerprint changes with the search input only', () => {
+    const input = { searchQueries: ['life coach'], minSubscribers: 1000, apiKey: 'key-1', quotaBudget: 500 };
+    const fingerprint = inputFingerprint(input);
+    assert.match(fingerprint, /^[0-9a-f]{64}$/);
+    assert.equal(inputFingerprint({ quotaBudget: 500, minSubscribers: 1000, searchQueries: ['life coach'], apiKey: 'key-1' }), fingerprint);
+    assert.equal(inputFingerprint({ ...input, apiKey: 'key-2', quotaBudget: 5000, maxChannels: 10, concurrency: 4 }), fingerprint);
+    assert.notEqual(inputFingerprint({ ...input, searchQueries: ['business coach'] }), fingerprint);
+    assert.notEqual(inputFingerprint({ ...input, minSubscribers: 2000 }), fingerprint);
+});
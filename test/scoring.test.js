@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_SCORING, resolveScoringConfig, scoreChannel, rankByScore } = require('../lib/scoring');
+
+const DAY = 86400000;
+const now = Date.UTC(2024, 5, 1);
+// Weekly uploads, the last one a day before now
+const sampleVideos = [1, 8, 15, 22].map(days => ({ snippet: { publishedAt: new Date(now - days * DAY).toISOString() } }));
+
+test('resolveScoringConfig merges weights and subscriberBand key by key', () => {
+    const cfg = resolveScoringConfig({ weights: { keywordHits: 0 }, subscriberBand: { max: 1000000 }, recencyHorizonDays: 30 });
+    assert.equal(cfg.weights.keywordHits, 0);
+    assert.equal(cfg.weights.subscriberBand, DEFAULT_SCORING.weights.subscriberBand);
+    assert.deepEqual(cfg.subscriberBand, { min: 5000, max: 1000000 });
+    assert.equal(cfg.recencyHorizonDays, 30);
+    assert.deepEqual(resolveScoringConfig(), DEFAULT_SCORING);
+});
+
+test('scoreChannel scores each component and weights them', () => {
+    const { leadScore, scoreBreakdown } = scoreChannel({ subscriberCount: 20000, avgViews: 2000, sampleVideos, includeHits: ['coach'], shortsRatio: 0.25 }, DEFAULT_SCORING, { now });
+    assert.deepEqual(scoreBreakdown.subscriberBand, { score: 1, weight: 20, points: 20, measure: 20000 });
+    assert.deepEqual(scoreBreakdown.viewsToSubscribers, { score: 1, weight: 25, points: 25, measure: 0.1 });
+    assert.equal(scoreBreakdown.uploadRecency.measure, 1);
+    assert.equal(scoreBreakdown.uploadCadence.score, 1);
+    assert.equal(scoreBreakdown.keywordHits.score, 0.33);
+    assert.equal(scoreBreakdown.shortsRatio.score, 0.75);
+    // 20 + 25 + 15 * 59/60 + 10 + 20 / 3 + 7.5
+    assert.equal(leadScore, 83.9);
+});
+
+test('scoreChannel leaves out components it cannot measure and renormalizes', () => {
+    const { leadScore, scoreBreakdown } = scoreChannel({ subscriberCount: null, avgViews: 0, sampleVideos: [], includeHits: [], shortsRatio: 0 }, DEFAULT_SCORING, { keywordsScored: false, now });
+    assert.equal(scoreBreakdown.subscriberBand.score, 0.5);
+    for (const name of ['viewsToSubscribers', 'uploadRecency', 'uploadCadence', 'keywordHits']) {
+        assert.equal(scoreBreakdown[name].score, null);
+        assert.equal(scoreBreakdown[name].points, 0);
+    }
+    // (20 * 0.5 + 10 * 1) / 30
+    assert.equal(leadScore, 66.7);
+});
+
+test('subscriberBand falls off one order of magnitude outside the band', () => {
+    const band = (subscriberCount) => scoreChannel({ subscriberCount, avgViews: 0, sampleVideos: [], includeHits: [], shortsRatio: 0 }, DEFAULT_SCORING, { now }).scoreBreakdown.subscriberBand.score;
+    assert.equal(band(500), 0);
+    assert.equal(band(1000), 0.3);
+    assert.equal(band(2500000), 0);
+});
+
+test('rankByScore sorts best first and keeps ties in order', () => {
+    const ranked = rankByScore([{ id: 'a', leadScore: 50 }, { id: 'b', leadScore: 80 }, { id: 'c', leadScore: 50 }]);
+    assert.deepEqual(ranked.map(r => r.id), ['b', 'a', 'c']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyShort, splitShorts } = require('../lib/shorts');
+
+const video = (id, title, duration, { description = '', tags, player } = {}) => ({
+    id,
+    snippet: { title, description, tags },
+    contentDetails: { duration },
+    player,
+});
+const vertical = { embedWidth: '480', embedHeight: '853' };
+const horizontal = { embedWidth: '480', embedHeight: '270' };
+
+test('long videos are never Shorts, whatever the title says', () => {
+    assert.equal(classifyShort(video('a', 'Short sale coaching for realtors', 'PT14M')).isShort, false);
+    assert.equal(classifyShort(video('b', 'Mindset #shorts', 'PT4M', { player: vertical })).isShort, false);
+    assert.equal(classifyShort(video('c', 'Mindset', 'PT2M30S', { player: vertical }), { maxDurationSeconds: 60 }).isShort, false);
+});
+
+test('the player aspect ratio decides when it is known', () => {
+    assert.deepEqual(classifyShort(video('a', 'Morning routine', 'PT2M30S', { player: vertical })), { isShort: true, durationSeconds: 150, signals: ['duration', 'vertical'] });
+    assert.equal(classifyShort(video('b', 'Quick tip #shorts', 'PT45S', { player: horizontal })).isShort, false);
+    assert.equal(classifyShort(video('c', 'Square', 'PT30S', { player: { embedWidth: '480', embedHeight: '480' } })).isShort, true);
+});
+
+test('hashtags, tags and title labels mark Shorts without player dimensions', () => {
+    assert.deepEqual(classifyShort(video('a', 'Confidence tip #shorts', 'PT2M')).signals, ['duration', 'hashtag']);
+    assert.equal(classifyShort(video('b', 'Confidence tip', 'PT2M', { description: 'Follow for more #YTShorts' })).isShort, true);
+    assert.equal(classifyShort(video('c', 'Confidence tip', 'PT2M', { tags: ['coaching', 'YouTubeShorts'] })).isShort, true);
+    assert.equal(classifyShort(video('d', 'Confidence tip | Shorts', 'PT2M')).isShort, true);
+    assert.equal(classifyShort(video('e', '(Short) Confidence tip', 'PT2M')).isShort, true);
+    assert.equal(classifyShort(video('f', 'The short version of my story', 'PT2M')).isShort, false);
+    assert.equal(classifyShort(video('g', 'Buying a #shortsale home', 'PT2M')).isShort, false);
+});
+
+test('without any signal only the old 60 second limit marks a Short', () => {
+    assert.equal(classifyShort(video('a', 'Daily affirmation', 'PT50S')).isShort, true);
+    assert.equal(classifyShort(video('b', 'Daily affirmation', 'PT90S')).isShort, false);
+    assert.equal(classifyShort(video('c', 'Live Q&A', 'P0D', { player: vertical })).isShort, false);
+});
+
+test('splitShorts keeps the sample order and the classification per video', () => {
+    const videos = [
+        video('a', 'Coaching call breakdown', 'PT25M'),
+        video('b', 'Tip #shorts', 'PT40S'),
+        video('c', 'Client story', 'PT12M'),
+    ];
+    const { shorts, longForm, classification } = splitShorts(videos);
+    assert.deepEqual(shorts.map(v => v.id), ['b']);
+    assert.deepEqual(longForm.map(v => v.id), ['a', 'c']);
+    assert.equal(classification.get('b').isShort, true);
+});
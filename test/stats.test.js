@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isoDurationToSeconds, median, computeViewStats } = require('../lib/stats');
+
+const video = (viewCount, daysAgo, extra = {}) => ({
+    snippet: { publishedAt: new Date(Date.UTC(2024, 0, 31) - daysAgo * 86400000).toISOString() },
+    statistics: { viewCount: String(viewCount), ...extra },
+});
+
+test('isoDurationToSeconds parses ISO 8601 durations', () => {
+    assert.equal(isoDurationToSeconds('PT1H2M30S'), 3750);
+    assert.equal(isoDurationToSeconds('PT45S'), 45);
+    assert.equal(isoDurationToSeconds('P0D'), 0);
+    assert.equal(isoDurationToSeconds(undefined), 0);
+});
+
+test('median handles odd, even and empty lists', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), null);
+});
+
+test('computeViewStats computes view statistics and picks the selected metric', () => {
+    const videos = [100, 200, 300, 400, 10000].map((views, i) => video(views, i * 7));
+    const stats = computeViewStats(videos, 1000);
+    assert.equal(stats.avgViews, 2200);
+    assert.equal(stats.medianViews, 300);
+    assert.equal(stats.selectedViews, 2200);
+    assert.equal(stats.viewsPerSubscriber, 2.2);
+    assert.equal(stats.uploadCadenceDays, 7);
+    assert.equal(computeViewStats(videos, 1000, 'median').selectedViews, 300);
+    assert.equal(computeViewStats(videos, null).viewsPerSubscriber, null);
+});
+
+test('computeViewStats rates skip videos with hidden counts', () => {
+    const videos = [
+        video(1000, 0, { likeCount: '50', commentCount: '10' }),
+        video(3000, 3, { commentCount: '20' }),
+    ];
+    const stats = computeViewStats(videos, 100);
+    assert.equal(stats.likeRate, 0.05);
+    assert.equal(stats.commentRate, 0.0075);
+    assert.equal(computeViewStats([video(10, 0)], 100).likeRate, null);
+});
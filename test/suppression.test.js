@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createSuppressionList, classifySuppressionEntry, addSuppressionEntry, suppressionRecordEntries, suppressionCounts,
+    isSuppressionActive, resolveSuppressionChannelRefs, matchSuppression,
+} = require('../lib/suppression');
+
+const contacts = (emails = [], websites = []) => ({
+    emails: emails.map(value => ({ value, domain: value.split('@')[1] })),
+    websites: websites.map(domain => ({ value: `https://${domain}/`, domain })),
+});
+
+test('classifySuppressionEntry detects channels, emails and domains', () => {
+    assert.deepEqual(classifySuppressionEntry('UCabcdefghijklmnopqrstuv'), [{ list: 'channelIds', value: 'UCabcdefghijklmnopqrstuv' }]);
+    assert.deepEqual(classifySuppressionEntry('@CoachSam'), [{ list: 'handles', value: 'coachsam' }]);
+    assert.deepEqual(classifySuppressionEntry('https://www.youtube.com/@CoachSam/videos'), [{ list: 'handles', value: 'coachsam' }]);
+    assert.deepEqual(classifySuppressionEntry('Jane@Gmail.com'), [{ list: 'emails', value: 'jane@gmail.com' }]);
+    assert.deepEqual(classifySuppressionEntry('https://www.acme.com/about'), [{ list: 'emailDomains', value: 'acme.com' }, { list: 'websiteDomains', value: 'acme.com' }]);
+    assert.deepEqual(classifySuppressionEntry('Email'), []);
+});
+
+test('classifySuppressionEntry honours type prefixes', () => {
+    assert.deepEqual(classifySuppressionEntry('email:acme.com'), [{ list: 'emailDomains', value: 'acme.com' }]);
+    assert.deepEqual(classifySuppressionEntry('email: @acme.com'), [{ list: 'emailDomains', value: 'acme.com' }]);
+    assert.deepEqual(classifySuppressionEntry('website:acme.com'), [{ list: 'websiteDomains', value: 'acme.com' }]);
+    assert.deepEqual(classifySuppressionEntry('handle:coachsam'), [{ list: 'handles', value: 'coachsam' }]);
+});
+
+test('/user/ and /c/ entries are resolved to channel IDs', async () => {
+    assert.deepEqual(classifySuppressionEntry('https://www.youtube.com/user/OldName'), [{ list: 'channelRefs', value: 'username:OldName' }]);
+    assert.deepEqual(classifySuppressionEntry('youtube.com/c/Custom'), [{ list: 'channelRefs', value: 'custom:Custom' }]);
+    assert.deepEqual(classifySuppressionEntry('channel:Custom'), [{ list: 'channelRefs', value: 'custom:Custom' }]);
+
+    const list = createSuppressionList();
+    for (const entry of ['https://www.youtube.com/user/OldName', 'youtube.com/c/Gone']) addSuppressionEntry(list, entry);
+    assert.equal(isSuppressionActive(list), false);
+    const lookups = [];
+    await resolveSuppressionChannelRefs(list, async (ref) => {
+        lookups.push(ref);
+        return ref.value === 'OldName' ? { channelId: 'UC1' } : { channelId: null, reason: 'custom_url_unresolved' };
+    });
+    assert.deepEqual(lookups, [{ type: 'username', value: 'OldName' }, { type: 'custom', value: 'Gone' }]);
+    assert.deepEqual([...list.channelIds], ['UC1']);
+    assert.deepEqual(list.unresolved, [{ entry: 'custom:Gone', reason: 'custom_url_unresolved' }]);
+    assert.equal(list.channelRefs.size, 0);
+    assert.equal(matchSuppression(list, { channelId: 'UC1', handle: '', contacts: contacts() }).reason, 'suppressed_channel_id');
+});
+
+test('suppressionRecordEntries reads JSON values and CSV cells', () => {
+    assert.deepEqual(suppressionRecordEntries({ leads: [{ email: 'a@x.com' }, { channel: '@b' }] }), ['a@x.com', '@b']);
+    assert.deepEqual(suppressionRecordEntries('Email;Website\r\na@x.com;"x.com"\r\n'), ['Email', 'Website', 'a@x.com', 'x.com']);
+    assert.deepEqual(suppressionRecordEntries(Buffer.from('["@c"]')), ['@c']);
+});
+
+test('matchSuppression matches exact emails, and domains with their subdomains', () => {
+    const list = createSuppressionList();
+    assert.equal(isSuppressionActive(list), false);
+    for (const entry of ['jane@gmail.com', 'email:acme.com', 'website:coach.io', '@samcoach', 'not an entry']) addSuppressionEntry(list, entry);
+    assert.deepEqual(suppressionCounts(list), { channelIds: 0, handles: 1, emails: 1, emailDomains: 1, websiteDomains: 1 });
+    assert.equal(list.unrecognized, 1);
+    assert.equal(isSuppressionActive(list), true);
+
+    const match = (channel) => matchSuppression(list, { channelId: 'UC1', handle: '', contacts: contacts(), ...channel });
+    assert.equal(match({ contacts: contacts(['jane@gmail.com']) }).reason, 'suppressed_email');
+    assert.equal(match({ contacts: contacts(['john@gmail.com']) }), null);
+    assert.deepEqual(match({ contacts: contacts(['bob@mail.acme.com']) }), { reason: 'suppressed_email_domain', values: { entry: 'acme.com', email: 'bob@mail.acme.com' } });
+    assert.equal(match({ contacts: contacts([], ['www.coach.io']) }).reason, 'suppressed_website_domain');
+    assert.deepEqual(match({ handle: '@SamCoach' }), { reason: 'suppressed_handle', values: { entry: 'samcoach' } });
+});
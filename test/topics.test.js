@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeTopic, channelTopics, matchTopics } = require('../lib/topics');
+
+test('normalizeTopic turns Wikipedia URLs and topic IDs into names', () => {
+    assert.equal(normalizeTopic('https://en.wikipedia.org/wiki/Lifestyle_(sociology)'), 'Lifestyle');
+    assert.equal(normalizeTopic('https://en.wikipedia.org/wiki/Physical_fitness'), 'Physical fitness');
+    assert.equal(normalizeTopic('https://en.wikipedia.org/wiki/Caf%C3%A9'), 'Café');
+    assert.equal(normalizeTopic('/m/019_rr'), 'Lifestyle');
+    assert.equal(normalizeTopic('/m/unknown'), null);
+    assert.equal(normalizeTopic('  Health '), 'Health');
+    assert.equal(normalizeTopic(''), null);
+});
+
+test('channelTopics merges topicCategories and topicIds without duplicates', () => {
+    const topics = channelTopics({
+        topicCategories: ['https://en.wikipedia.org/wiki/Lifestyle_(sociology)', 'https://en.wikipedia.org/wiki/Health'],
+        topicIds: ['/m/019_rr', '/m/09s1f'],
+    });
+    assert.deepEqual(topics, ['Lifestyle', 'Health', 'Business']);
+    assert.deepEqual(channelTopics(undefined), []);
+});
+
+test('matchTopics accepts names, URLs and IDs in any case', () => {
+    const topics = ['Lifestyle', 'Health'];
+    assert.deepEqual(matchTopics(topics, ['health', 'Music']), ['Health']);
+    assert.deepEqual(matchTopics(topics, ['/m/019_rr']), ['Lifestyle']);
+    assert.deepEqual(matchTopics(topics, ['https://en.wikipedia.org/wiki/Health']), ['Health']);
+    assert.deepEqual(matchTopics(topics, []), []);
+});
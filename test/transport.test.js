@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FIXTURE_MISSING, fixtureName, createFetchTransport, createRecordingTransport, createReplayTransport } = require('../lib/transport');
+const { startMockYouTubeServer, makeChannel } = require('./helpers/mockYouTubeServer');
+
+test('fixtureName ignores the base URL and query order', () => {
+    const a = fixtureName('https://www.googleapis.com/youtube/v3/channels?part=snippet&id=UC1');
+    const b = fixtureName('http://127.0.0.1:9999/youtube/v3/channels?id=UC1&part=snippet');
+    assert.equal(a, b);
+    assert.match(a, /^channels-[0-9a-f]{16}\.json$/);
+    assert.notEqual(a, fixtureName('http://127.0.0.1:9999/youtube/v3/channels?id=UC2&part=snippet'));
+});
+
+test('recorded responses replay offline, and unrecorded requests fail', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const server = await startMockYouTubeServer({ channels: [makeChannel(1)] });
+    t.after(() => server.close());
+
+    const url = `${server.url}/channels?part=snippet&id=${makeChannel(1).id}`;
+    const recorded = await createRecordingTransport(dir, createFetchTransport())(url, { headers: { 'X-Goog-Api-Key': 'secret' } });
+    assert.equal(recorded.status, 200);
+    const [file] = fs.readdirSync(dir);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    assert.deepEqual(fixture.request, { endpoint: 'channels', query: { part: 'snippet', id: makeChannel(1).id } });
+    assert.doesNotMatch(fs.readFileSync(path.join(dir, file), 'utf8'), /secret/);
+
+    const replay = createReplayTransport(dir);
+    const replayed = await replay(url.replace(server.url, 'https://www.googleapis.com/youtube/v3'));
+    assert.deepEqual(JSON.parse(replayed.body), JSON.parse(recorded.body));
+    await assert.rejects(replay(`${server.url}/channels?part=snippet&id=UCother`), { code: FIXTURE_MISSING });
+});
+
+test('non-JSON responses are recorded as text', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const inner = async () => ({ status: 502, body: '<html>Bad gateway</html>' });
+    const url = 'https://www.googleapis.com/youtube/v3/videos?id=x';
+    await createRecordingTransport(dir, inner)(url);
+    assert.deepEqual(await createReplayTransport(dir)(url), { status: 502, body: '<html>Bad gateway</html>' });
+});
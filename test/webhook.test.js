@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { signWebhookBody, createWebhookSender } = require('../lib/webhook');
+
+// Local receiver answering with the given status codes in turn (200 once they run out)
+async function startReceiver(t, statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test('signWebhookBody is an HMAC-SHA256 over timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 's3cret').update('1700000000.{}').digest('hex');
+    assert.equal(signWebhookBody('s3cret', '1700000000', '{}'), `sha256=${expected}`);
+    assert.notEqual(signWebhookBody('s3cret', '1700000000', '{}'), signWebhookBody('s3cret', '1700000001', '{}'));
+});
+
+test('deliver signs the body and retries after a 5xx', async (t) => {
+    const receiver = await startReceiver(t, [503]);
+    const waits = [];
+    const sender = createWebhookSender({ url: receiver.url, secret: 's3cret', maxRetries: 2, fetch, sleep: async (ms) => waits.push(ms) });
+    const result = await sender.deliver({ event: 'leads.qualified', leads: [{ channelId: 'UC1' }] });
+
+    assert.deepEqual(result, { ok: true, status: 200, attempts: 2 });
+    assert.deepEqual(waits, [1000]);
+    assert.deepEqual(sender.stats, { delivered: 1, failed: 0 });
+    const [first, second] = receiver.received;
+    assert.equal(first.headers['x-webhook-id'], second.headers['x-webhook-id']);
+    const { headers, body } = second;
+    assert.equal(headers['x-webhook-event'], 'leads.qualified');
+    assert.equal(headers['x-webhook-signature'], signWebhookBody('s3cret', headers['x-webhook-timestamp'], body));
+    assert.deepEqual(JSON.parse(body).leads, [{ channelId: 'UC1' }]);
+});
+
+test('deliver hands a delivery to onDeadLetter once retries run out, and never retries a 4xx', async (t) => {
+    const receiver = await startReceiver(t, [500, 502, 400]);
+    const deadLetters = [];
+    const sender = createWebhookSender({ url: receiver.url, maxRetries: 1, fetch, sleep: async () => {}, onDeadLetter: async (entry) => deadLetters.push(entry) });
+
+    const failed = await sender.deliver({ event: 'run.completed', info: {} });
+    assert.deepEqual(failed, { ok: false, status: 502, error: 'HTTP 502', attempts: 2 });
+    assert.equal(receiver.received[0].headers['x-webhook-signature'], undefined);
+    assert.deepEqual(await sender.deliver({ event: 'run.completed', info: {} }), { ok: false, status: 400, error: 'HTTP 400', attempts: 1 });
+
+    assert.deepEqual(sender.stats, { delivered: 0, failed: 2 });
+    assert.deepEqual(deadLetters.map(d => [d.event, d.attempts, d.lastStatus]), [['run.completed', 2, 502], ['run.completed', 1, 400]]);
+    assert.deepEqual(deadLetters[0].payload, { event: 'run.completed', info: {} });
+});
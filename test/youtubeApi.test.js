@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    API_KEY_INVALID,
+    API_QUOTA_EXHAUSTED,
+    QUOTA_BUDGET_EXHAUSTED,
+    createYouTubeClient,
+    parseApiError,
+} = require('../lib/youtubeApi');
+const { startMockYouTubeServer, makeChannel, apiError } = require('./helpers/mockYouTubeServer');
+
+const channel = makeChannel(1);
+
+async function setup(t, options = {}) {
+    const server = await startMockYouTubeServer({ channels: [channel] });
+    t.after(() => server.close());
+    const warnings = [];
+    const client = createYouTubeClient({
+        apiKeys: ['key-a', 'key-b'],
+        baseUrl: server.url,
+        retryBaseMs: 1,
+        requestsPerSecond: 1000,
+        log: { warning: (message) => warnings.push(message) },
+        ...options,
+    });
+    return { server, client, warnings };
+}
+
+test('parseApiError maps YouTube reasons', () => {
+    assert.equal(parseApiError(403, apiError(403, 'quotaExceeded')).reason, 'quotaExceeded');
+    assert.equal(parseApiError(403, apiError(403, 'dailyLimitExceeded')).reason, 'quotaExceeded');
+    assert.equal(parseApiError(400, JSON.stringify({ error: { message: 'API key not valid. Please pass a valid API key.' } })).reason, 'keyInvalid');
+    assert.equal(parseApiError(429, 'Too Many Requests').reason, 'rateLimitExceeded');
+    assert.equal(parseApiError(404, '<html></html>').reason, 'http_404');
+});
+
+test('a key out of quota is retired and the request repeats with the next key', async (t) => {
+    const { server, client, warnings } = await setup(t);
+    server.failNext('channels', { status: 403, body: apiError(403, 'quotaExceeded') });
+    const resp = await client.request('channels', { part: 'id', id: channel.id });
+    assert.equal(resp.items[0].id, channel.id);
+    assert.deepEqual(server.requests.map(r => r.apiKey), ['key-a', 'key-b']);
+    assert.deepEqual(client.keys.map(k => k.status), ['quotaExceeded', 'active']);
+    assert.equal(client.keys[0].errors.quotaExceeded, 1);
+    assert.equal(warnings.length, 1);
+    assert.doesNotMatch(warnings[0], /key-a/);
+
+    server.failNext('channels', { status: 403, body: apiError(403, 'quotaExceeded') });
+    await assert.rejects(client.request('channels', { part: 'id', id: channel.id }), { code: API_QUOTA_EXHAUSTED });
+});
+
+test('rate limits and malformed JSON are retried with backoff', async (t) => {
+    const { server, client } = await setup(t);
+    server.failNext('videos', { status: 429, body: apiError(429, 'rateLimitExceeded') });
+    server.failNext('videos', { status: 200, body: '{"items": [' });
+    const resp = await client.request('videos', { part: 'statistics', id: channel.videos[0].id });
+    assert.equal(resp.items[0].id, channel.videos[0].id);
+    assert.equal(server.requests.length, 3);
+    // Every attempt is charged
+    assert.equal(client.quota.spent, 3);
+    assert.equal(client.keys[0].errors.rateLimitExceeded, 1);
+});
+
+test('retries give up after maxRetries', async (t) => {
+    const { server, client } = await setup(t);
+    server.failNext('videos', { status: 503, body: 'unavailable' }, 3);
+    await assert.rejects(client.request('videos', { id: 'x' }, { maxRetries: 2 }), { status: 503 });
+    assert.equal(server.requests.length, 3);
+});
+
+test('an invalid key fails at once and other client errors are not retried', async (t) => {
+    const { server, client } = await setup(t);
+    server.failNext('channels', { status: 400, body: apiError(400, 'keyInvalid', 'API key not valid.') });
+    await assert.rejects(client.request('channels', { id: channel.id }), { code: API_KEY_INVALID });
+    assert.equal(server.requests.length, 1);
+    assert.equal(client.keys[0].status, 'invalid');
+
+    await assert.rejects(client.request('unknownEndpoint', {}), { status: 404, reason: 'notFound' });
+    assert.equal(server.requests.length, 2);
+});
+
+test('the quota budget stops requests before they are sent', async (t) => {
+    const { server, client } = await setup(t, { quotaBudget: 101 });
+    await client.request('search', { q: 'coach', type: 'channel' });
+    await client.request('channels', { id: channel.id }, { phase: 'evaluation' });
+    await assert.rejects(client.request('videos', { id: 'x' }), { code: QUOTA_BUDGET_EXHAUSTED });
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(client.quota, { budget: 101, spent: 101, byEndpoint: { search: 100, channels: 1 }, byPhase: { discovery: 100, evaluation: 1 } });
+});